@@ -0,0 +1,168 @@
+/**
+ * Backfill: consolidate every order matching a date range and filters, page by
+ * page, with a bounded number of orders in flight. Progress is checkpointed
+ * after each order so an interrupted run resumes where it stopped.
+ */
+
+const fs = require('fs');
+const consolidation = require('./consolidation');
+
+/**
+ * Load a checkpoint left by an interrupted backfill
+ * @returns {Object|null}
+ */
+function loadCheckpoint(checkpointFile) {
+  if (!fs.existsSync(checkpointFile)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+}
+
+/**
+ * Save a checkpoint
+ */
+function saveCheckpoint(checkpointFile, checkpoint) {
+  consolidation.writeJsonFile(checkpointFile, { ...checkpoint, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Consolidate one order from a search page. Errors are reported as a failed
+ * order instead of stopping the backfill.
+ */
+async function backfillOrder(order, options) {
+  try {
+    const orderData = await consolidation.fetchOrder(order.id);
+    if (!orderData) {
+      throw new Error(`Order ${order.name} no longer exists`);
+    }
+    return await consolidation.consolidateOrder(orderData, { dryRun: options.dryRun });
+  } catch (error) {
+    return {
+      orderId: order.id,
+      orderName: order.name,
+      action: 'failed',
+      message: error.message,
+      planned: [],
+      moved: [],
+      skipped: [],
+      errors: [{ error: error.message }]
+    };
+  }
+}
+
+/**
+ * Add an order report to the running summary
+ */
+function recordReport(checkpoint, report) {
+  const { summary } = checkpoint;
+
+  summary.processed++;
+  summary.actions[report.action] = (summary.actions[report.action] || 0) + 1;
+  summary.fulfillmentOrdersMoved += report.moved.length;
+  summary.fulfillmentOrdersPlanned += report.action === 'dry_run' ? report.planned.length : 0;
+
+  if (report.action === 'failed') {
+    checkpoint.failures.push({
+      orderId: report.orderId,
+      orderName: report.orderName,
+      errors: report.errors.map(e => (e.fulfillmentOrderId ? `${e.fulfillmentOrderId}: ${e.error}` : e.error))
+    });
+  }
+}
+
+/**
+ * Consolidate all orders matching the filters
+ * @param {Object} filters - See consolidation.buildOrderSearch()
+ * @param {Object} options
+ * @param {string} options.checkpointFile - Where progress is kept (not used for dry runs)
+ * @param {boolean} [options.restart] - Discard an existing checkpoint
+ * @param {boolean} [options.dryRun]
+ * @param {number} [options.concurrency] - Orders consolidated at the same time (default 1)
+ * @param {number} [options.pageSize]
+ * @param {Function} [options.onOrder] - Called with each order report
+ * @returns {Promise<Object>} Summary: counts per action, moves and failed orders
+ * @throws {Error} With code CHECKPOINT_MISMATCH if the checkpoint belongs to a backfill with different filters
+ */
+async function backfill(filters, options) {
+  const search = consolidation.buildOrderSearch(filters);
+  const useCheckpoint = !options.dryRun;
+  const startedAt = Date.now();
+
+  let checkpoint = useCheckpoint && !options.restart ? loadCheckpoint(options.checkpointFile) : null;
+
+  if (checkpoint && checkpoint.search !== search) {
+    const error = new Error(`${options.checkpointFile} belongs to another backfill ("${checkpoint.search}") - pass --restart to discard it`);
+    error.code = 'CHECKPOINT_MISMATCH';
+    throw error;
+  }
+
+  const resumedFrom = checkpoint ? checkpoint.summary.processed : null;
+  checkpoint = checkpoint || {
+    search,
+    after: null,
+    // Orders of the current page that are already done
+    done: [],
+    summary: { processed: 0, actions: {}, fulfillmentOrdersMoved: 0, fulfillmentOrdersPlanned: 0 },
+    failures: [],
+    startedAt: new Date(startedAt).toISOString()
+  };
+
+  for (;;) {
+    const page = await consolidation.fetchOrderPage(search, { after: checkpoint.after, pageSize: options.pageSize });
+    const done = new Set(checkpoint.done);
+    const pending = page.orders.filter(order => !done.has(order.id));
+
+    await mapWithConcurrency(pending, options.concurrency || 1, async order => {
+      const report = await backfillOrder(order, options);
+
+      recordReport(checkpoint, report);
+      checkpoint.done.push(order.id);
+      if (useCheckpoint) saveCheckpoint(options.checkpointFile, checkpoint);
+
+      if (options.onOrder) options.onOrder(report);
+    });
+
+    if (!page.hasNextPage) break;
+
+    checkpoint.after = page.endCursor;
+    checkpoint.done = [];
+    if (useCheckpoint) saveCheckpoint(options.checkpointFile, checkpoint);
+  }
+
+  // Finished: the next backfill with these filters starts from the beginning
+  if (useCheckpoint && fs.existsSync(options.checkpointFile)) {
+    fs.unlinkSync(options.checkpointFile);
+  }
+
+  return {
+    search,
+    dryRun: Boolean(options.dryRun),
+    resumedFrom,
+    startedAt: checkpoint.startedAt,
+    durationMs: Date.now() - startedAt,
+    ...checkpoint.summary,
+    failed: checkpoint.failures.length,
+    failures: checkpoint.failures
+  };
+}
+
+module.exports = { backfill, mapWithConcurrency };
@@ -0,0 +1,651 @@
+#!/usr/bin/env node
+
+/**
+ * Command line interface for consolidating orders outside the app, e.g. from
+ * GitHub Actions.
+ *
+ * Usage:
+ *   node scripts/cli.js process <order id|name|json> [--dry-run]
+ *   node scripts/cli.js sweep [--since 2025-06-01] [--state-file path] [--dry-run]
+ *   node scripts/cli.js sync [--overlap 10] [--since 2025-06-01T00:00:00Z] [--watermark-file path] [--dry-run]
+ *   node scripts/cli.js status [--state-file path] [--watermark-file path]
+ *   node scripts/cli.js inspect <order id|name|json>
+ *   node scripts/cli.js backfill --from 2025-06-01 [--to 2025-06-30] [--status unfulfilled,partial]
+ *     [--tag wholesale] [--exclude-tag manual] [--concurrency 4] [--checkpoint path] [--restart]
+ *
+ * Shared options:
+ *   --dry-run   Plan the moves without making them (or DRY_RUN=true)
+ *   --json      Print the result as JSON instead of progress output
+ *   --verbose   Print every GraphQL request
+ *
+ * Exit codes:
+ *   0  Success, including orders that needed no change
+ *   1  A fulfillment order could not be moved, or Shopify could not be reached
+ *   2  Invalid command or options
+ *   3  Missing or invalid configuration
+ *   4  Order not found
+ */
+
+const path = require('path');
+const config = require('../src/config/config');
+const shopifyClient = require('../src/services/shopifyClient');
+const RoutingEngine = require('../src/services/routingEngine');
+const auditTrail = require('../src/services/auditTrail');
+const notifier = require('../src/services/notifier');
+const logger = require('../src/utils/logger');
+const { getLineItems } = require('../src/utils/fulfillmentOrders');
+const consolidation = require('./consolidation');
+const { backfill } = require('./backfill');
+const { syncOrders, loadSyncState, DEFAULT_OVERLAP_MINUTES } = require('./sync');
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  CONFIG: 3,
+  NOT_FOUND: 4
+};
+
+const DEFAULT_STATE_FILE = path.join(__dirname, 'processed-orders.json');
+const DEFAULT_CHECKPOINT_FILE = path.join(__dirname, 'backfill-checkpoint.json');
+const DEFAULT_WATERMARK_FILE = path.join(__dirname, 'sync-state.json');
+
+// Keeps concurrent consolidations within what the query-cost bucket refills
+const MAX_CONCURRENCY = 10;
+
+// Options that take a value -> option name
+const VALUE_OPTIONS = {
+  '--since': 'since',
+  '--state-file': 'stateFile',
+  '--from': 'from',
+  '--to': 'to',
+  '--status': 'status',
+  '--concurrency': 'concurrency',
+  '--page-size': 'pageSize',
+  '--checkpoint': 'checkpointFile',
+  '--overlap': 'overlap',
+  '--watermark-file': 'watermarkFile'
+};
+
+// Options that may be given more than once -> option name
+const REPEATED_OPTIONS = {
+  '--tag': 'tags',
+  '--exclude-tag': 'excludeTags'
+};
+
+const USAGE = `Usage: node scripts/cli.js <command> [options]
+
+Commands:
+  process <order id|name|json>  Consolidate one order
+  sweep                         Consolidate unfulfilled orders not handled yet
+  sync                          Consolidate orders updated since the last sync
+  status                        Show configuration, Shopify access, sweep and sync state
+  inspect <order id|name|json>  Show an order's fulfillment order assignments
+  backfill --from <date>        Consolidate every order in a date range
+
+Options:
+  --dry-run            Plan the moves without making them
+  --json               Print the result as JSON
+  --verbose            Print the processing log (always written to logs/combined.log)
+  --since <date>       sweep: only orders created after this date (default ${consolidation.DEFAULT_SWEEP_SINCE});
+                       sync: where to start when there is no watermark yet (default an hour ago)
+  --state-file <path>  sweep/status: processed orders file (default scripts/processed-orders.json)
+
+Sync options:
+  --overlap <minutes>      Re-scan this far below the watermark (default ${DEFAULT_OVERLAP_MINUTES})
+  --watermark-file <path>  Sync state file (default scripts/sync-state.json)
+
+Backfill options:
+  --from <date>        Orders created at or after this date/time (required)
+  --to <date>          Orders created at or before this date/time (a date includes the whole day)
+  --status <list>      Fulfillment statuses, comma separated, or "any" (default unfulfilled)
+  --tag <tag>          Only orders with this tag (repeatable)
+  --exclude-tag <tag>  Skip orders with this tag (repeatable)
+  --concurrency <n>    Orders consolidated at the same time, 1-${MAX_CONCURRENCY} (default 1)
+  --page-size <n>      Orders per search page, 1-${consolidation.MAX_PAGE_SIZE} (default 25)
+  --checkpoint <path>  Progress file used to resume (default scripts/backfill-checkpoint.json)
+  --restart            Discard the checkpoint and start from the beginning`;
+
+/**
+ * An error that ends the run with a specific exit code
+ */
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} [env] - Environment, for DRY_RUN
+ * @returns {Object} { command, args, dryRun, json, verbose, since?, stateFile }
+ */
+function parseArgs(argv, env = process.env) {
+  const options = {
+    command: null,
+    args: [],
+    dryRun: env.DRY_RUN === 'true',
+    json: false,
+    verbose: false,
+    help: false,
+    restart: false,
+    stateFile: DEFAULT_STATE_FILE,
+    checkpointFile: DEFAULT_CHECKPOINT_FILE,
+    watermarkFile: DEFAULT_WATERMARK_FILE,
+    tags: [],
+    excludeTags: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--restart') {
+      options.restart = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (VALUE_OPTIONS[arg] || REPEATED_OPTIONS[arg]) {
+      if (argv[i + 1] === undefined) {
+        throw new CliError(`Missing value for ${arg}`, EXIT_CODES.USAGE);
+      }
+      if (VALUE_OPTIONS[arg]) {
+        options[VALUE_OPTIONS[arg]] = argv[++i];
+      } else {
+        options[REPEATED_OPTIONS[arg]].push(argv[++i]);
+      }
+    } else if (arg.startsWith('--')) {
+      throw new CliError(`Unknown option: ${arg}`, EXIT_CODES.USAGE);
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.args.push(arg);
+    }
+  }
+
+  ['since', 'from', 'to'].forEach(name => {
+    if (options[name] && Number.isNaN(new Date(options[name]).getTime())) {
+      throw new CliError(`Invalid --${name} date: ${options[name]}`, EXIT_CODES.USAGE);
+    }
+  });
+
+  options.concurrency = parseIntegerOption('--concurrency', options.concurrency, 1, MAX_CONCURRENCY);
+  options.pageSize = parseIntegerOption('--page-size', options.pageSize, 1, consolidation.MAX_PAGE_SIZE);
+  options.overlap = parseIntegerOption('--overlap', options.overlap, 0, 24 * 60);
+
+  return options;
+}
+
+/**
+ * Parse a whole-number option within bounds
+ * @returns {number|undefined} undefined when the option was not given
+ */
+function parseIntegerOption(name, value, min, max) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new CliError(`${name} must be a whole number from ${min} to ${max}`, EXIT_CODES.USAGE);
+  }
+  return number;
+}
+
+/**
+ * Check the shared configuration every command needs
+ * @throws {CliError} With EXIT_CODES.CONFIG
+ */
+function validateConfig() {
+  let rules;
+  try {
+    // The configured rules alone, before USA_LOCATION_ID is appended as the default
+    rules = RoutingEngine.loadRules(config.routing, null);
+    consolidation.getRoutingEngine();
+  } catch (error) {
+    throw new CliError(`Invalid routing rules: ${error.message}`, EXIT_CODES.CONFIG);
+  }
+
+  const missing = [
+    ['SHOPIFY_SHOP_DOMAIN', config.shopify.shopDomain],
+    ['SHOPIFY_ACCESS_TOKEN', config.shopify.accessToken],
+    ['USA_LOCATION_ID', config.locations.usaLocationId || RoutingEngine.hasDefaultRule(rules)]
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  if (missing.length > 0) {
+    throw new CliError(`Missing required environment variables: ${missing.join(', ')}`, EXIT_CODES.CONFIG);
+  }
+}
+
+/**
+ * The order reference a command was given
+ */
+function requireOrderRef(options) {
+  if (options.args.length !== 1) {
+    throw new CliError(`Usage: node scripts/cli.js ${options.command} <order id|name|json>`, EXIT_CODES.USAGE);
+  }
+  return options.args[0];
+}
+
+/**
+ * Resolve and load the order a command was given
+ * @returns {Promise<{ order: Object, fulfillmentOrders: Array }>}
+ * @throws {CliError} With EXIT_CODES.NOT_FOUND
+ */
+async function loadOrder(ref) {
+  const orderId = await consolidation.resolveOrderId(ref);
+  const orderData = orderId && await consolidation.fetchOrder(orderId);
+
+  if (!orderData) {
+    throw new CliError(`Order not found: ${ref.length > 80 ? `${ref.slice(0, 80)}...` : ref}`, EXIT_CODES.NOT_FOUND);
+  }
+
+  return orderData;
+}
+
+/**
+ * Show or hide the app log on the console; it still goes to the log files
+ */
+function setConsoleLogging(enabled) {
+  logger.transports
+    .filter(transport => transport.name === 'console')
+    .forEach(transport => {
+      transport.silent = !enabled;
+    });
+}
+
+/**
+ * Print one order report as a few summary lines
+ */
+function printReport(report) {
+  console.log(`Order: ${report.orderName} | ${report.action} | ${report.message}`);
+  if (report.rule) console.log(`  Routing rule: ${report.rule} → location ${report.locationId}`);
+  if (report.action === 'dry_run') console.log(`  Fulfillment orders to move (dry run): ${report.planned.length}`);
+  if (report.moved.length > 0) console.log(`  Fulfillment orders moved: ${report.moved.length}`);
+  report.skipped.forEach(skip => console.log(`  Skipped fulfillment order ${skip.fulfillmentOrderId}: ${skip.reason}`));
+  report.unavailableItems.forEach(item => {
+    console.log(`  Short at location ${report.locationId}: ${item.sku || item.inventoryItemId} (${item.available} of ${item.required} available)`);
+  });
+  report.errors.forEach(e => {
+    console.log(e.fulfillmentOrderId ? `  Error for fulfillment order ${e.fulfillmentOrderId}: ${e.error}` : `  Error: ${e.error}`);
+  });
+}
+
+/**
+ * Print GraphQL call and query-cost statistics
+ */
+function printClientStats() {
+  const stats = shopifyClient.getStats();
+  console.log(`📈 GraphQL: ${stats.calls} calls, ${stats.retries} retries, ` +
+    `${stats.throttleWaits} throttle waits (${stats.throttleWaitMs}ms), ` +
+    `${stats.actualQueryCost} cost points used`);
+}
+
+/**
+ * process <order>: consolidate one order
+ */
+async function processCommand(options) {
+  const orderData = await loadOrder(requireOrderRef(options));
+  const report = await consolidation.consolidateOrder(orderData, { dryRun: options.dryRun });
+
+  return {
+    result: report,
+    exitCode: report.action === 'failed' ? EXIT_CODES.FAILED : EXIT_CODES.OK,
+    print: () => printReport(report)
+  };
+}
+
+/**
+ * sweep: consolidate unfulfilled orders that previous sweeps have not handled.
+ * Orders with a failed move are retried by the next sweep; a dry run leaves
+ * the state untouched.
+ */
+async function sweepCommand(options) {
+  const state = consolidation.loadSweepState(options.stateFile);
+  const processedOrders = new Set(state.processedOrders);
+  const currentRun = new Date().toISOString();
+
+  const orders = await consolidation.fetchUnfulfilledOrders({ since: options.since });
+  const newOrders = orders.filter(order => !processedOrders.has(order.id));
+
+  if (!options.json) {
+    console.log(`📊 Last run: ${state.lastRun || 'Never'}`);
+    console.log(`📦 Found ${orders.length} unfulfilled orders, ${newOrders.length} not handled yet`);
+  }
+
+  const reports = [];
+  for (const order of newOrders) {
+    const orderData = await consolidation.fetchOrder(order.id);
+    if (!orderData) continue;
+
+    const report = await consolidation.consolidateOrder(orderData, { dryRun: options.dryRun });
+    reports.push(report);
+
+    if (report.action !== 'failed' && report.action !== 'dry_run') {
+      processedOrders.add(order.id);
+    }
+  }
+
+  if (!options.dryRun) {
+    consolidation.saveSweepState(options.stateFile, {
+      processedOrders: Array.from(processedOrders),
+      lastRun: currentRun
+    });
+  }
+
+  const failed = reports.filter(report => report.action === 'failed');
+  const result = {
+    dryRun: options.dryRun,
+    unfulfilledOrders: orders.length,
+    processed: reports.length,
+    consolidated: reports.filter(report => report.action === 'consolidated').length,
+    failed: failed.length,
+    orders: reports
+  };
+
+  return {
+    result,
+    exitCode: failed.length > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK,
+    print: () => {
+      console.log('\n==================== ORDER CONSOLIDATION REPORT ====================');
+      reports.forEach(report => {
+        printReport(report);
+        console.log('-------------------------------------------------------------------');
+      });
+      console.log(`${result.processed} processed, ${result.consolidated} consolidated, ${result.failed} failed${options.dryRun ? ' (dry run)' : ''}`);
+      console.log('====================================================================');
+    }
+  };
+}
+
+/**
+ * sync: consolidate orders updated since the watermark. Orders whose moves
+ * failed hold the watermark back so the next sync retries them.
+ */
+async function syncCommand(options) {
+  const summary = await syncOrders({
+    stateFile: options.watermarkFile,
+    since: options.since,
+    overlapMinutes: options.overlap,
+    dryRun: options.dryRun,
+    pageSize: options.pageSize
+  });
+
+  // Orders given up on no longer hold the watermark back
+  const retrying = summary.failed - summary.gaveUp.length;
+
+  return {
+    result: summary,
+    exitCode: summary.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK,
+    print: () => {
+      console.log('\n==================== ORDER SYNC REPORT ====================');
+      console.log(`Search: ${summary.search}`);
+      summary.orders.forEach(report => {
+        printReport(report);
+        console.log('-------------------------------------------------------------------');
+      });
+      console.log(`${summary.scanned} scanned, ${summary.alreadyHandled} already handled, ` +
+        `${summary.fulfillmentOrdersMoved} fulfillment orders moved, ${summary.failed} failed${summary.dryRun ? ' (dry run)' : ''}`);
+      summary.gaveUp.forEach(order => console.log(`  Gave up on ${order.orderName} after ${order.attempts} attempts: ${order.error}`));
+      console.log(`Watermark: ${summary.previousWatermark || 'none'} → ${summary.watermark}${retrying > 0 ? ` (held back for ${retrying} orders to retry)` : ''}`);
+      console.log('===========================================================');
+    }
+  };
+}
+
+/**
+ * status: configuration, Shopify access, sweep and sync state and recent moves
+ */
+async function statusCommand(options) {
+  const state = consolidation.loadSweepState(options.stateFile);
+  const syncState = loadSyncState(options.watermarkFile);
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const recentMoves = {};
+  auditTrail.search({ from: since, action: 'move' }).forEach(entry => {
+    recentMoves[entry.outcome] = (recentMoves[entry.outcome] || 0) + 1;
+  });
+
+  let shop;
+  try {
+    const data = await shopifyClient.query('query shopStatus { shop { name myshopifyDomain } }');
+    shop = { ok: true, name: data.shop.name };
+  } catch (error) {
+    shop = { ok: false, error: error.message };
+  }
+
+  const result = {
+    shopDomain: config.shopify.shopDomain,
+    apiVersion: shopifyClient.apiVersion,
+    shopify: shop,
+    dryRun: options.dryRun,
+    routingRules: consolidation.getRoutingEngine().rules.map(rule => ({ name: rule.name, locationId: rule.locationId })),
+    sweep: {
+      stateFile: options.stateFile,
+      lastRun: state.lastRun,
+      processedOrders: state.processedOrders.length
+    },
+    sync: {
+      stateFile: options.watermarkFile,
+      watermark: syncState.watermark,
+      lastRun: syncState.lastRun,
+      retrying: Object.keys(syncState.failures).length
+    },
+    movesLast24h: recentMoves
+  };
+
+  return {
+    result,
+    exitCode: shop.ok ? EXIT_CODES.OK : EXIT_CODES.FAILED,
+    print: () => {
+      console.log(`🏪 Shop: ${result.shopDomain} (API ${result.apiVersion})`);
+      console.log(shop.ok ? `✅ Shopify: reachable as "${shop.name}"` : `❌ Shopify: ${shop.error}`);
+      console.log(`📝 Dry run: ${result.dryRun ? 'yes' : 'no'}`);
+      console.log(`🧭 Routing rules: ${result.routingRules.map(rule => `${rule.name || '(unnamed)'} → ${rule.locationId}`).join(', ')}`);
+      console.log(`📊 Last sweep: ${state.lastRun || 'Never'} (${state.processedOrders.length} orders handled, ${options.stateFile})`);
+      console.log(`🔁 Last sync: ${syncState.lastRun || 'Never'} (watermark ${syncState.watermark || 'none'}, ` +
+        `${result.sync.retrying} orders to retry, ${options.watermarkFile})`);
+      const moves = Object.entries(recentMoves).map(([outcome, count]) => `${count} ${outcome}`).join(', ');
+      console.log(`🚚 Moves in the last 24h: ${moves || 'none'}`);
+    }
+  };
+}
+
+/**
+ * inspect <order>: where each fulfillment order is assigned and what
+ * consolidating the order would do
+ */
+async function inspectCommand(options) {
+  const orderData = await loadOrder(requireOrderRef(options));
+  const { order, fulfillmentOrders } = orderData;
+  // A dry run reads inventory and builds the plan without moving anything
+  const plan = await consolidation.consolidateOrder(orderData, { dryRun: true });
+  const history = auditTrail.search({ orderId: order.id, limit: 10 });
+
+  const result = {
+    order: {
+      id: order.id,
+      name: order.name,
+      createdAt: order.createdAt,
+      cancelledAt: order.cancelledAt,
+      displayFulfillmentStatus: order.displayFulfillmentStatus
+    },
+    fulfillmentOrders: fulfillmentOrders.map(fo => ({
+      id: fo.id,
+      status: fo.status,
+      location: fo.assignedLocation?.location || null,
+      supportedActions: (fo.supportedActions || []).map(supported => supported.action),
+      lineItems: getLineItems(fo).map(({ sku, remainingQuantity, quantity }) => ({ sku, remainingQuantity, totalQuantity: quantity }))
+    })),
+    plan: {
+      action: plan.action,
+      message: plan.message,
+      rule: plan.rule,
+      locationId: plan.locationId,
+      toMove: plan.planned,
+      skipped: plan.skipped,
+      unavailableItems: plan.unavailableItems
+    },
+    history
+  };
+
+  return {
+    result,
+    exitCode: EXIT_CODES.OK,
+    print: () => {
+      const { order: summary } = result;
+      console.log(`\n🧾 Order ${summary.name} (${summary.id})`);
+      console.log(`   Created ${summary.createdAt} | ${summary.displayFulfillmentStatus}${summary.cancelledAt ? ` | cancelled ${summary.cancelledAt}` : ''}`);
+      result.fulfillmentOrders.forEach(fo => {
+        const location = fo.location ? `${fo.location.name} (${fo.location.id.split('/').pop()})` : '(no location)';
+        console.log(`📦 ${fo.id} | ${fo.status} | ${location} | actions: ${fo.supportedActions.join(', ') || 'none'}`);
+        fo.lineItems.forEach(item => console.log(`     ${item.sku || '(no sku)'}: ${item.remainingQuantity}/${item.totalQuantity} remaining`));
+      });
+      console.log(`🧭 Plan: ${plan.action} - ${plan.message}`);
+      result.plan.toMove.forEach(id => console.log(`   Would move ${id} → location ${result.plan.locationId}`));
+      result.plan.skipped.forEach(skip => console.log(`   Would skip ${skip.fulfillmentOrderId}: ${skip.reason}`));
+      if (history.length > 0) {
+        console.log('📜 Recent audit entries:');
+        history.forEach(entry => {
+          console.log(`   ${entry.timestamp} | ${entry.action} ${entry.outcome} | ${entry.fulfillmentOrderId} | ${entry.fromLocationId} → ${entry.toLocationId}`);
+        });
+      }
+    }
+  };
+}
+
+/**
+ * backfill --from <date>: consolidate every order matching a date range and
+ * filters, resuming from the checkpoint of an interrupted run
+ */
+async function backfillCommand(options) {
+  if (!options.from) {
+    throw new CliError('backfill requires --from (e.g. --from 2025-06-01)', EXIT_CODES.USAGE);
+  }
+
+  const filters = {
+    from: options.from,
+    to: options.to,
+    statuses: (options.status || 'unfulfilled').split(',').map(status => status.trim().toLowerCase()).filter(Boolean),
+    tags: options.tags,
+    excludeTags: options.excludeTags
+  };
+
+  const invalidStatus = filters.statuses.find(status => !/^[a-z_]+$/.test(status));
+  if (invalidStatus) {
+    throw new CliError(`Invalid --status: ${invalidStatus}`, EXIT_CODES.USAGE);
+  }
+
+  let summary;
+  try {
+    summary = await backfill(filters, {
+      checkpointFile: options.checkpointFile,
+      restart: options.restart,
+      dryRun: options.dryRun,
+      concurrency: options.concurrency,
+      pageSize: options.pageSize,
+      onOrder: options.json ? null : report => {
+        const moves = report.action === 'dry_run' ? `, ${report.planned.length} to move` : report.moved.length ? `, ${report.moved.length} moved` : '';
+        console.log(`${report.action === 'failed' ? '❌' : '✅'} ${report.orderName} | ${report.action}${moves}`);
+      }
+    });
+  } catch (error) {
+    if (error.code === 'CHECKPOINT_MISMATCH') {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+    throw error;
+  }
+
+  return {
+    result: summary,
+    exitCode: summary.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK,
+    print: () => {
+      console.log('\n==================== BACKFILL SUMMARY ====================');
+      console.log(`Search: ${summary.search}`);
+      if (summary.resumedFrom !== null) console.log(`Resumed from checkpoint after ${summary.resumedFrom} orders`);
+      console.log(`Orders processed: ${summary.processed}${summary.dryRun ? ' (dry run)' : ''}`);
+      Object.entries(summary.actions).forEach(([action, count]) => console.log(`  ${action}: ${count}`));
+      console.log(`Fulfillment orders moved: ${summary.fulfillmentOrdersMoved}`);
+      if (summary.dryRun) console.log(`Fulfillment orders to move (dry run): ${summary.fulfillmentOrdersPlanned}`);
+      summary.failures.forEach(failure => console.log(`  Failed ${failure.orderName}: ${failure.errors.join('; ')}`));
+      console.log(`Duration: ${Math.round(summary.durationMs / 1000)}s`);
+      console.log('==========================================================');
+    }
+  };
+}
+
+const COMMANDS = {
+  process: processCommand,
+  sweep: sweepCommand,
+  sync: syncCommand,
+  status: statusCommand,
+  inspect: inspectCommand,
+  backfill: backfillCommand
+};
+
+/**
+ * Run a command line and return the exit code
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>}
+ */
+async function run(argv) {
+  let options;
+
+  try {
+    options = parseArgs(argv);
+
+    if (options.help || !options.command) {
+      console.log(USAGE);
+      return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    const command = COMMANDS[options.command];
+    if (!command) {
+      throw new CliError(`Unknown command: ${options.command}\n\n${USAGE}`, EXIT_CODES.USAGE);
+    }
+
+    validateConfig();
+
+    // JSON output must be the only thing on stdout
+    setConsoleLogging(options.verbose && !options.json);
+
+    if (!options.json) {
+      console.log(`🚀 Shopify Order Location Consolidation - ${options.command}`);
+      console.log('='.repeat(60));
+      if (options.dryRun) {
+        console.log('📝 Dry-run mode - no fulfillment orders will be moved');
+      }
+    }
+
+    const outcome = await command(options);
+
+    if (options.json) {
+      console.log(JSON.stringify(outcome.result, null, 2));
+    } else {
+      outcome.print();
+      printClientStats();
+    }
+
+    return outcome.exitCode;
+
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return error instanceof CliError ? error.exitCode : EXIT_CODES.FAILED;
+
+  } finally {
+    // Alerts raised during the run are delivered before the process exits
+    await notifier.flush();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  run(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { run, parseArgs, EXIT_CODES };
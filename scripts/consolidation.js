@@ -0,0 +1,327 @@
+/**
+ * Order consolidation for the command line (scripts/cli.js): resolve order
+ * references, page through order searches and hand each order to the app's
+ * OrderService, so the scripts apply the same inventory policy, partial moves,
+ * merges and pre-move checks as the server. Results are reduced to a short
+ * per-order report for printing and state files.
+ */
+
+const fs = require('fs');
+const RoutingEngine = require('../src/services/routingEngine');
+const shopifyClient = require('../src/services/shopifyClient');
+
+// Unfulfilled orders created before this were handled before routing rules existed
+const DEFAULT_SWEEP_SINCE = '2025-05-27';
+
+// Orders per search page; Shopify allows up to 250
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 250;
+
+// Search results only decide which orders to consolidate; OrderService loads the rest
+const ORDER_FIELDS = `
+  id
+  name
+  createdAt
+  updatedAt
+  cancelledAt
+  displayFulfillmentStatus
+`;
+
+// Built on first use so bad routing rules are reported as a configuration error
+let routingEngine = null;
+let orderService = null;
+
+/**
+ * The routing engine built from the environment's rules (ROUTING_RULES_PATH /
+ * ROUTING_RULES, USA_LOCATION_ID as fallback)
+ */
+function getRoutingEngine() {
+  if (!routingEngine) {
+    routingEngine = new RoutingEngine();
+  }
+  return routingEngine;
+}
+
+/**
+ * The OrderService the scripts consolidate with: the environment's routing
+ * rules and the client for SHOPIFY_SHOP_DOMAIN / SHOPIFY_ACCESS_TOKEN
+ */
+function getOrderService() {
+  if (!orderService) {
+    // Required here: the module's default instance loads the routing rules as it is required
+    const { OrderService } = require('../src/services/orderService');
+    orderService = new OrderService(getRoutingEngine(), shopifyClient);
+  }
+  return orderService;
+}
+
+/**
+ * Numeric ID of an order GID (OrderService takes numeric IDs)
+ */
+function toNumericId(orderId) {
+  return String(orderId).split('/').pop();
+}
+
+/**
+ * Load an order with all of its fulfillment orders
+ * @param {string} orderId - Order GID or numeric ID
+ * @returns {Promise<{ order: Object, fulfillmentOrders: Array }|null>} null if it does not exist
+ */
+async function fetchOrder(orderId) {
+  return getOrderService().fetchOrderWithFulfillmentOrders(toNumericId(orderId));
+}
+
+/**
+ * Resolve an order reference given on the command line to an order GID.
+ * Accepts a GID, a numeric order ID, an order name ("#1001", "1001" or a
+ * custom-prefixed name) or an order webhook payload as JSON.
+ * @param {string} ref
+ * @returns {Promise<string|null>} The order GID, or null if no order matches
+ */
+async function resolveOrderId(ref) {
+  const value = String(ref).trim();
+  const byName = async name => {
+    const orderId = await getOrderService().findOrderIdByName(name);
+    return orderId ? `gid://shopify/Order/${orderId}` : null;
+  };
+
+  if (value.startsWith('{')) {
+    let payload;
+    try {
+      payload = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Order JSON could not be parsed: ${error.message}`);
+    }
+
+    if (payload.admin_graphql_api_id) return payload.admin_graphql_api_id;
+    if (payload.id) return String(payload.id).startsWith('gid://') ? payload.id : `gid://shopify/Order/${payload.id}`;
+    throw new Error('Order JSON has neither "admin_graphql_api_id" nor "id"');
+  }
+
+  if (value.startsWith('gid://shopify/Order/')) {
+    return value;
+  }
+
+  // A number is either an order ID or the number in an order name like "#1001"
+  if (/^\d+$/.test(value)) {
+    const orderId = `gid://shopify/Order/${value}`;
+    const { order } = await shopifyClient.query('query orderExists($id: ID!) { order(id: $id) { id } }', { id: orderId });
+    return order ? order.id : byName(`#${value}`);
+  }
+
+  return byName(value);
+}
+
+/**
+ * Consolidate a loaded order through OrderService
+ * @param {{ order: Object, fulfillmentOrders: Array }} orderData - As returned by fetchOrder()
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report the plan instead of moving
+ * @returns {Promise<Object>} Report: `action` is 'no_change_needed', 'insufficient_inventory',
+ *   'superseded', 'dry_run', 'consolidated' or 'failed' (at least one move failed)
+ */
+async function consolidateOrder(orderData, options = {}) {
+  const result = await getOrderService().consolidateOrder(toNumericId(orderData.order.id), orderData, {
+    dryRun: Boolean(options.dryRun),
+    trigger: 'script'
+  });
+
+  return toReport(orderData.order, result);
+}
+
+/**
+ * Reduce an OrderService result to the report the CLI prints and keeps state by
+ */
+function toReport(order, result) {
+  const locationId = result.targetLocation || result.newLocation || null;
+  const moves = result.plan?.moves || [];
+  const moved = (result.moves || []).map(move => move.originalFulfillmentOrder?.id || move.fulfillmentOrderId);
+  const errors = (result.failedMoves || []).map(move => ({ fulfillmentOrderId: move.fulfillmentOrderId, error: move.error }));
+  const skipped = (result.plan?.skipped || result.skippedFulfillmentOrders || [])
+    .map(({ fulfillmentOrderId, reason }) => ({ fulfillmentOrderId, reason }));
+
+  let action = result.action;
+  let message = result.reason;
+
+  if (action === 'dry_run') {
+    message = `${moves.length} fulfillment orders would move to location ${locationId}`;
+  } else if (action === 'consolidated') {
+    action = errors.length > 0 ? 'failed' : action;
+    message = `Moved ${moved.length} of ${moved.length + errors.length} fulfillment orders to location ${locationId}`;
+  }
+
+  return {
+    orderId: order.id,
+    orderName: order.name,
+    action,
+    message,
+    rule: result.routingRule || null,
+    locationId,
+    planned: action === 'dry_run' ? moves.map(move => move.fulfillmentOrderId) : [...moved, ...errors.map(e => e.fulfillmentOrderId)],
+    moved,
+    skipped,
+    unavailableItems: result.unavailableItems || [],
+    errors
+  };
+}
+
+/**
+ * Quote a value for Shopify's search syntax
+ */
+function quoteSearchValue(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Inclusive upper bound on a date field. Shopify reads a bare date as midnight,
+ * so "up to 2025-06-30" becomes "before 2025-07-01" to keep that day's orders.
+ */
+function upperBoundTerm(field, value) {
+  const date = String(value).trim();
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+    return `${field}:<=${quoteSearchValue(value)}`;
+  }
+
+  const nextDay = new Date(Date.parse(date) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return `${field}:<${quoteSearchValue(nextDay)}`;
+}
+
+/**
+ * Build an orders search query from filters
+ * @param {Object} filters
+ * @param {string} [filters.from] - Created at or after this date/time
+ * @param {string} [filters.to] - Created at or before this date/time; a date
+ *   without a time includes that whole day
+ * @param {string} [filters.updatedFrom] - Updated at or after this date/time
+ * @param {Array<string>} [filters.statuses] - Fulfillment statuses (unfulfilled, partial, ...); any one matches
+ * @param {Array<string>} [filters.tags] - Tags the order must all have
+ * @param {Array<string>} [filters.excludeTags] - Tags the order must not have
+ * @returns {string}
+ */
+function buildOrderSearch(filters = {}) {
+  const terms = [];
+  const statuses = (filters.statuses || []).filter(status => status !== 'any');
+
+  if (statuses.length === 1) {
+    terms.push(`fulfillment_status:${statuses[0]}`);
+  } else if (statuses.length > 1) {
+    terms.push(`(${statuses.map(status => `fulfillment_status:${status}`).join(' OR ')})`);
+  }
+
+  if (filters.from) terms.push(`created_at:>=${quoteSearchValue(filters.from)}`);
+  if (filters.to) terms.push(upperBoundTerm('created_at', filters.to));
+  if (filters.updatedFrom) terms.push(`updated_at:>=${quoteSearchValue(filters.updatedFrom)}`);
+  (filters.tags || []).forEach(tag => terms.push(`tag:${quoteSearchValue(tag)}`));
+  (filters.excludeTags || []).forEach(tag => terms.push(`-tag:${quoteSearchValue(tag)}`));
+
+  return terms.join(' ');
+}
+
+/**
+ * Fetch one page of orders matching a search, oldest first. Fulfillment
+ * orders are not loaded; see fetchOrder().
+ * @param {string} search - Orders search query
+ * @param {Object} [options]
+ * @param {string} [options.after] - Cursor of the previous page
+ * @param {number} [options.pageSize]
+ * @param {string} [options.sortKey] - CREATED_AT (default) or UPDATED_AT
+ * @returns {Promise<{ orders: Array, hasNextPage: boolean, endCursor: string|null }>}
+ */
+async function fetchOrderPage(search, options = {}) {
+  const query = `
+    query getOrders($query: String!, $first: Int!, $after: String, $sortKey: OrderSortKeys!) {
+      orders(first: $first, after: $after, query: $query, sortKey: $sortKey) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          ${ORDER_FIELDS}
+        }
+      }
+    }
+  `;
+
+  const pageSize = Math.min(options.pageSize || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const { orders } = await shopifyClient.query(query, {
+    query: search,
+    first: pageSize,
+    after: options.after || null,
+    sortKey: options.sortKey || 'CREATED_AT'
+  });
+
+  return {
+    orders: orders.nodes,
+    hasNextPage: orders.pageInfo.hasNextPage,
+    endCursor: orders.pageInfo.endCursor
+  };
+}
+
+/**
+ * Fetch unfulfilled orders from Shopify, paging through every result
+ * @param {Object} [options]
+ * @param {string} [options.since] - Only orders created after this date
+ * @returns {Promise<Array>} Unfulfilled orders as search results (see fetchOrderPage())
+ */
+async function fetchUnfulfilledOrders(options = {}) {
+  const since = options.since || DEFAULT_SWEEP_SINCE;
+  const search = buildOrderSearch({ from: since, statuses: ['unfulfilled'] });
+  const orders = [];
+  let page = { endCursor: null };
+
+  do {
+    page = await fetchOrderPage(search, { after: page.endCursor });
+    orders.push(...page.orders);
+  } while (page.hasNextPage);
+
+  return orders;
+}
+
+/**
+ * Load the sweep state: orders already handled and when the last sweep ran
+ * @param {string} stateFile
+ * @returns {{ processedOrders: Array<string>, lastRun: string|null }}
+ */
+function loadSweepState(stateFile) {
+  if (!fs.existsSync(stateFile)) {
+    return { processedOrders: [], lastRun: null };
+  }
+
+  return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+}
+
+/**
+ * Save the sweep state
+ * @param {string} stateFile
+ * @param {{ processedOrders: Array<string>, lastRun: string }} state
+ */
+function saveSweepState(stateFile, state) {
+  writeJsonFile(stateFile, state);
+}
+
+/**
+ * Write a state file, replacing the previous one atomically so an
+ * interruption mid-write cannot corrupt it
+ */
+function writeJsonFile(file, data) {
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tempFile, file);
+}
+
+module.exports = {
+  DEFAULT_SWEEP_SINCE,
+  MAX_PAGE_SIZE,
+  getRoutingEngine,
+  getOrderService,
+  fetchOrder,
+  resolveOrderId,
+  consolidateOrder,
+  buildOrderSearch,
+  fetchOrderPage,
+  fetchUnfulfilledOrders,
+  loadSweepState,
+  saveSweepState,
+  writeJsonFile
+};
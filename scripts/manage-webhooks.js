@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * List and sync the app's webhook subscriptions against the manifest in
+ * src/config/webhooks.js (or a JSON file passed with --manifest).
+ *
+ * `sync` creates missing subscriptions, re-points ones whose URL changed (e.g.
+ * after redeploying to a new Vercel or Heroku URL) and deletes duplicates and
+ * topics no longer in the manifest. Run it after every deploy.
+ *
+ * Every shop the app serves is handled with its own token: the shops in the
+ * registry (SHOP_REGISTRY / SHOP_REGISTRY_PATH, or the legacy SHOPIFY_SHOP_DOMAIN
+ * and SHOPIFY_ACCESS_TOKEN) and the shops that installed the app. Pass --shop to
+ * handle only one of them.
+ *
+ * Usage:
+ *   node scripts/manage-webhooks.js list [--shop your-shop.myshopify.com]
+ *   node scripts/manage-webhooks.js sync [--url https://your-app-url.com] [--dry-run]
+ *   node scripts/manage-webhooks.js sync --manifest webhooks.forwarder.json
+ *   node scripts/manage-webhooks.js delete <subscription id> [--shop your-shop.myshopify.com]
+ *
+ * The app URL defaults to APP_URL, then https://HOST_NAME.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WebhookSubscriptions } = require('../src/services/webhookSubscriptions');
+const shopRegistry = require('../src/services/shopRegistry');
+
+// Configuration from environment variables
+const config = {
+  appUrl: process.env.APP_URL || (process.env.HOST_NAME && `https://${process.env.HOST_NAME}`)
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{ command: string, args: Array<string>, url?: string, manifest?: string, shop?: string, dryRun: boolean }}
+ */
+function parseArgs(argv) {
+  const options = { command: argv[0] || 'list', args: [], dryRun: false };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--url' || arg === '--manifest' || arg === '--shop') {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options.args.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load a manifest file: a JSON array of { topic, path }
+ */
+function loadManifest(manifestPath) {
+  const manifest = JSON.parse(fs.readFileSync(path.resolve(manifestPath), 'utf8'));
+
+  if (!Array.isArray(manifest) || manifest.some(entry => !entry.topic || !entry.path)) {
+    throw new Error('Webhook manifest must be a JSON array of { "topic", "path" } entries');
+  }
+
+  return manifest;
+}
+
+/**
+ * Print the changes a sync made (or would make)
+ */
+function printSyncResult(result) {
+  const prefix = result.dryRun ? 'Would ' : '';
+
+  result.create.forEach(({ topic, callbackUrl }) => console.log(`➕ ${prefix}create ${topic} → ${callbackUrl}`));
+  result.update.forEach(({ topic, from, callbackUrl }) => console.log(`🔁 ${prefix}re-point ${topic}: ${from} → ${callbackUrl}`));
+  result.delete.forEach(({ topic, id, reason }) => console.log(`🗑️  ${prefix}delete ${topic} ${id} (${reason})`));
+  result.unchanged.forEach(({ topic, callbackUrl }) => console.log(`✅ ${topic} → ${callbackUrl}`));
+  result.errors.forEach(({ action, topic, error }) => console.error(`❌ Failed to ${action} ${topic}: ${error}`));
+}
+
+/**
+ * The shops to work on: the one named with --shop, or every shop with a token
+ * @throws {Error} If the named shop is unknown or no shop has a token
+ */
+function selectShops(registry, shopDomain) {
+  if (shopDomain) {
+    const shop = registry.getShop(shopDomain);
+    if (!shop) {
+      throw new Error(`Unknown shop: ${shopDomain} (not in the registry and not installed)`);
+    }
+    if (!shop.accessToken) {
+      throw new Error(`No access token for shop ${shop.shopDomain} - install the app or configure one`);
+    }
+    return [shop];
+  }
+
+  const shops = registry.listShops().filter(shop => shop.shopDomain);
+  shops
+    .filter(shop => !shop.accessToken)
+    .forEach(shop => console.warn(`⚠️  Skipping ${shop.shopDomain}: no access token (install the app or configure one)`));
+
+  const usable = shops.filter(shop => shop.accessToken);
+  if (usable.length === 0) {
+    throw new Error('No shop to manage: set SHOPIFY_SHOP_DOMAIN and SHOPIFY_ACCESS_TOKEN, configure SHOP_REGISTRY or install the app');
+  }
+
+  return usable;
+}
+
+/**
+ * Run the command against one shop
+ * @returns {Promise<boolean>} Whether every change succeeded
+ */
+async function runForShop(options, shop, manifest) {
+  const subscriptions = new WebhookSubscriptions(shopRegistry.createClient(shop), manifest);
+
+  switch (options.command) {
+    case 'list': {
+      const list = await subscriptions.list();
+      console.log(`📋 ${list.length} webhook subscription(s) on ${shop.shopDomain}`);
+      list.forEach(({ id, topic, format, callbackUrl }) => {
+        console.log(`   ${topic} → ${callbackUrl || '(non-HTTP endpoint)'} | ${format} | ${id}`);
+      });
+      return true;
+    }
+
+    case 'sync': {
+      const appUrl = options.url || config.appUrl;
+      console.log(`🔄 Syncing webhook subscriptions on ${shop.shopDomain} to ${appUrl}${options.dryRun ? ' (dry run)' : ''}`);
+      const result = await subscriptions.sync(appUrl, { dryRun: options.dryRun });
+      printSyncResult(result);
+      return result.errors.length === 0;
+    }
+
+    case 'delete': {
+      const [id] = options.args;
+      await subscriptions.deleteSubscription(id);
+      console.log(`🗑️  Deleted ${id} on ${shop.shopDomain}`);
+      return true;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${options.command} (expected list, sync or delete)`);
+  }
+}
+
+// Main execution
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const manifest = options.manifest ? loadManifest(options.manifest) : undefined;
+
+  if (!['list', 'sync', 'delete'].includes(options.command)) {
+    throw new Error(`Unknown command: ${options.command} (expected list, sync or delete)`);
+  }
+  if (options.command === 'sync' && !(options.url || config.appUrl)) {
+    throw new Error('App URL required: pass --url or set APP_URL (or HOST_NAME)');
+  }
+  if (options.command === 'delete' && !options.args[0]) {
+    throw new Error('Usage: manage-webhooks.js delete <subscription id> [--shop <domain>]');
+  }
+
+  const shops = selectShops(shopRegistry, options.shop);
+
+  // A subscription ID belongs to a single shop
+  if (options.command === 'delete' && shops.length > 1) {
+    throw new Error('Several shops are configured: pass --shop to choose the one to delete from');
+  }
+
+  // One shop failing does not stop the others
+  for (const shop of shops) {
+    try {
+      if (!(await runForShop(options, shop, manifest))) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(`❌ ${shop.shopDomain}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, loadManifest, selectShops };
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Replay dead-lettered consolidation jobs through the running app's admin API.
+ *
+ * Usage:
+ *   node scripts/replay-dead-letters.js --list
+ *   node scripts/replay-dead-letters.js <jobId>
+ *   node scripts/replay-dead-letters.js --all
+ */
+
+// Configuration from environment variables
+const config = {
+  adminApiUrl: (process.env.ADMIN_API_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  adminApiToken: process.env.ADMIN_API_TOKEN
+};
+
+// Validate configuration
+if (!config.adminApiToken) {
+  console.error('❌ Missing required environment variables');
+  console.error('Required: ADMIN_API_TOKEN (and ADMIN_API_URL if not http://localhost:3000)');
+  process.exit(1);
+}
+
+/**
+ * Call an admin API endpoint
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /admin
+ * @param {Object} [body] - JSON request body
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function adminRequest(method, path, body) {
+  const response = await fetch(`${config.adminApiUrl}/admin${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${config.adminApiToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`Admin API error ${response.status}: ${data.error || response.statusText}`);
+  }
+
+  return data;
+}
+
+// Main execution
+async function main() {
+  const arg = process.argv[2];
+
+  if (!arg || arg === '--list') {
+    const { deadLetters } = await adminRequest('GET', '/dead-letters');
+    console.log(`📭 ${deadLetters.length} dead-lettered job(s)`);
+    deadLetters.forEach(job => {
+      console.log(`   ${job.id} | order ${job.orderNumber || job.orderId} | ${job.attempts} attempts | ${job.error}`);
+    });
+    return;
+  }
+
+  if (arg === '--all') {
+    const { replayed, jobIds } = await adminRequest('POST', '/dead-letters/replay');
+    console.log(`🔁 Replayed ${replayed} dead-lettered job(s)`);
+    jobIds.forEach(jobId => console.log(`   → ${jobId}`));
+    return;
+  }
+
+  const { job } = await adminRequest('POST', `/dead-letters/${encodeURIComponent(arg)}/replay`);
+  console.log(`🔁 Replayed ${arg} as ${job.id}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { adminRequest };
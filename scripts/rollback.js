@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Undo consolidations through the running app's admin API: fulfillment orders
+ * are moved back to the locations recorded in the audit trail. Fulfillment
+ * orders that have started fulfillment are skipped.
+ *
+ * Usage:
+ *   node scripts/rollback.js --order 1001
+ *   node scripts/rollback.js --from 2025-06-01T00:00:00Z --to 2025-06-01T12:00:00Z
+ *   node scripts/rollback.js --order-id 5551234 --dry-run
+ */
+
+const { adminRequest } = require('./replay-dead-letters');
+
+// Command line option -> request body field
+const OPTIONS = {
+  '--order': 'orderName',
+  '--order-id': 'orderId',
+  '--from': 'from',
+  '--to': 'to'
+};
+
+/**
+ * Parse command line arguments into the rollback request body
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Request body
+ */
+function parseArgs(argv) {
+  const body = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      body.dryRun = true;
+      continue;
+    }
+
+    const field = OPTIONS[arg];
+    if (!field || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${arg}`);
+    }
+
+    body[field] = argv[++i];
+  }
+
+  if (!body.orderName && !body.orderId && !body.from && !body.to) {
+    throw new Error('Specify --order, --order-id or a --from/--to window');
+  }
+
+  return body;
+}
+
+/**
+ * Print one rollback entry as a single line
+ */
+function printEntry(entry) {
+  const details = [
+    `order ${entry.orderName || entry.orderId}`,
+    entry.fulfillmentOrderId,
+    `${entry.fromLocationId} → ${entry.toLocationName || entry.toLocationId}`,
+    entry.reason || entry.error
+  ];
+
+  console.log(`   ${details.filter(Boolean).join(' | ')}`);
+}
+
+// Main execution
+async function main() {
+  const body = parseArgs(process.argv.slice(2));
+  const result = await adminRequest('POST', '/rollback', body);
+  const prefix = result.dryRun ? '📝 [dry-run] ' : '';
+
+  console.log(`${prefix}↩️  ${result.dryRun ? 'Would roll back' : 'Rolled back'} ${result.rolledBack.length} fulfillment order(s)`);
+  result.rolledBack.forEach(printEntry);
+
+  console.log(`${prefix}⏭️  Skipped ${result.skipped.length}`);
+  result.skipped.forEach(printEntry);
+
+  if (result.failed.length > 0) {
+    console.log(`${prefix}❌ Failed ${result.failed.length}`);
+    result.failed.forEach(printEntry);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Search the consolidation audit trail.
+ *
+ * Reads the running app's trail through the admin API when ADMIN_API_TOKEN is
+ * set, otherwise the local audit store (AUDIT_STORE_PATH).
+ *
+ * Usage:
+ *   node scripts/search-audit.js --order 1001
+ *   node scripts/search-audit.js --location 67642458351 --from 2025-06-01 --to 2025-06-30
+ *   node scripts/search-audit.js --order-id 5551234 --outcome failed --json
+ *
+ * Options: --order, --order-id, --fulfillment-order, --location, --from, --to,
+ *          --action, --trigger, --outcome, --limit, --json
+ */
+
+const auditTrail = require('../src/services/auditTrail');
+
+// Command line option -> search filter
+const OPTIONS = {
+  '--order': 'orderName',
+  '--order-id': 'orderId',
+  '--fulfillment-order': 'fulfillmentOrderId',
+  '--location': 'locationId',
+  '--from': 'from',
+  '--to': 'to',
+  '--action': 'action',
+  '--trigger': 'trigger',
+  '--outcome': 'outcome',
+  '--limit': 'limit'
+};
+
+/**
+ * Parse command line arguments into search filters
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{ filters: Object, json: boolean }}
+ */
+function parseArgs(argv) {
+  const filters = { limit: 100 };
+  let json = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--json') {
+      json = true;
+      continue;
+    }
+
+    const filter = OPTIONS[arg];
+    if (!filter || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${arg}`);
+    }
+
+    filters[filter] = argv[++i];
+  }
+
+  filters.limit = parseInt(filters.limit) || 100;
+
+  // A bare date as --to means "through the end of that day"
+  if (filters.to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+    filters.to = `${filters.to}T23:59:59.999Z`;
+  }
+
+  return { filters, json };
+}
+
+/**
+ * Search through the admin API of the running app
+ * @param {Object} filters - Search filters
+ * @returns {Promise<Array>} Matching entries, newest first
+ */
+async function searchRemote(filters) {
+  const baseUrl = (process.env.ADMIN_API_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const query = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value !== undefined)
+  );
+
+  const response = await fetch(`${baseUrl}/admin/audit?${query}`, {
+    headers: { 'Authorization': `Bearer ${process.env.ADMIN_API_TOKEN}` }
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`Admin API error ${response.status}: ${body.error || response.statusText}`);
+  }
+
+  return body.entries;
+}
+
+/**
+ * Print one audit entry as a single line
+ */
+function printEntry(entry) {
+  const from = entry.fromLocationName ? `${entry.fromLocationName} (${entry.fromLocationId})` : entry.fromLocationId;
+  const details = [
+    `${entry.timestamp}`,
+    `${entry.action} ${entry.outcome}`,
+    `order ${entry.orderName || entry.orderId}`,
+    `${entry.fulfillmentOrderId}`,
+    `${from} → ${entry.toLocationId}`,
+    `trigger ${entry.trigger}`,
+    entry.rule ? `rule "${entry.rule}"` : null,
+    entry.error ? `error: ${entry.error}` : null
+  ];
+
+  console.log(`   ${details.filter(Boolean).join(' | ')}`);
+}
+
+// Main execution
+async function main() {
+  const { filters, json } = parseArgs(process.argv.slice(2));
+
+  const entries = process.env.ADMIN_API_TOKEN
+    ? await searchRemote(filters)
+    : auditTrail.search(filters);
+
+  if (json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  console.log(`🔎 ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'}`);
+  entries.forEach(printEntry);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs };
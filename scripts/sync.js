@@ -0,0 +1,179 @@
+/**
+ * Incremental sync: consolidate orders updated since the last run.
+ *
+ * The watermark is the `updatedAt` up to which every order has been handled.
+ * It only moves past an order once that order was consolidated (or needed no
+ * change); an order whose moves failed holds it back so the next run retries
+ * it. Each run re-scans an overlap window below the watermark to pick up
+ * orders that reached the search index late, and skips the orders it already
+ * handled in that window.
+ */
+
+const fs = require('fs');
+const consolidation = require('./consolidation');
+
+const DEFAULT_OVERLAP_MINUTES = 10;
+
+// Without a watermark, the first run looks back this far
+const INITIAL_LOOKBACK_MS = 60 * 60 * 1000;
+
+// An order that fails this many times in a row at the same version stops holding the watermark back
+const MAX_ATTEMPTS = 3;
+
+// Orders with nothing left to consolidate
+const DONE_FULFILLMENT_STATUSES = ['FULFILLED', 'RESTOCKED'];
+
+const time = timestamp => new Date(timestamp).getTime();
+
+/**
+ * Load the sync state
+ * @returns {{ watermark: string|null, handled: Object, failures: Object, lastRun: string|null }}
+ *   `handled` maps order IDs to the updatedAt they were handled at; `failures`
+ *   maps order IDs to { updatedAt, attempts, error }
+ */
+function loadSyncState(stateFile) {
+  if (!fs.existsSync(stateFile)) {
+    return { watermark: null, handled: {}, failures: {}, lastRun: null };
+  }
+
+  return { handled: {}, failures: {}, ...JSON.parse(fs.readFileSync(stateFile, 'utf8')) };
+}
+
+/**
+ * Consolidate one order from a search page, or report why it was left alone
+ */
+async function syncOrder(order, options) {
+  if (order.cancelledAt || DONE_FULFILLMENT_STATUSES.includes(order.displayFulfillmentStatus)) {
+    return {
+      orderId: order.id,
+      orderName: order.name,
+      action: 'ignored',
+      message: order.cancelledAt ? 'Order is cancelled' : `Order is ${order.displayFulfillmentStatus.toLowerCase()}`,
+      planned: [],
+      moved: [],
+      skipped: [],
+      errors: []
+    };
+  }
+
+  try {
+    const orderData = await consolidation.fetchOrder(order.id);
+    if (!orderData) {
+      throw new Error(`Order ${order.name} no longer exists`);
+    }
+    return await consolidation.consolidateOrder(orderData, { dryRun: options.dryRun });
+  } catch (error) {
+    return {
+      orderId: order.id,
+      orderName: order.name,
+      action: 'failed',
+      message: error.message,
+      planned: [],
+      moved: [],
+      skipped: [],
+      errors: [{ error: error.message }]
+    };
+  }
+}
+
+/**
+ * Consolidate orders updated since the watermark and advance it
+ * @param {Object} options
+ * @param {string} options.stateFile - Where the watermark is kept
+ * @param {string} [options.since] - Starting point when there is no watermark yet
+ * @param {number} [options.overlapMinutes] - How far below the watermark to re-scan
+ * @param {boolean} [options.dryRun] - Leave the state untouched
+ * @param {number} [options.pageSize]
+ * @param {Function} [options.onOrder] - Called with each order report
+ * @returns {Promise<Object>} Summary with the old and new watermark
+ */
+async function syncOrders(options) {
+  const state = loadSyncState(options.stateFile);
+  const overlapMs = (options.overlapMinutes ?? DEFAULT_OVERLAP_MINUTES) * 60 * 1000;
+  const startedAt = new Date();
+  const base = state.watermark || options.since || new Date(startedAt.getTime() - INITIAL_LOOKBACK_MS).toISOString();
+  const since = new Date(time(base) - overlapMs).toISOString();
+  const search = consolidation.buildOrderSearch({ updatedFrom: since });
+
+  const summary = { scanned: 0, alreadyHandled: 0, actions: {}, fulfillmentOrdersMoved: 0, failed: 0, gaveUp: [] };
+  const reports = [];
+  let latestUpdatedAt = null;
+  let earliestFailureAt = null;
+  let page = { endCursor: null };
+
+  const save = () => {
+    if (!options.dryRun) consolidation.writeJsonFile(options.stateFile, state);
+  };
+
+  do {
+    page = await consolidation.fetchOrderPage(search, { after: page.endCursor, pageSize: options.pageSize, sortKey: 'UPDATED_AT' });
+
+    for (const order of page.orders) {
+      summary.scanned++;
+      if (!latestUpdatedAt || time(order.updatedAt) > time(latestUpdatedAt)) latestUpdatedAt = order.updatedAt;
+
+      // Seen in the overlap window of an earlier run and not changed since
+      if (state.handled[order.id] === order.updatedAt) {
+        summary.alreadyHandled++;
+        continue;
+      }
+
+      const report = await syncOrder(order, options);
+      reports.push(report);
+      summary.actions[report.action] = (summary.actions[report.action] || 0) + 1;
+      summary.fulfillmentOrdersMoved += report.moved.length;
+
+      if (report.action === 'failed') {
+        summary.failed++;
+        const previous = state.failures[order.id];
+        const attempts = previous?.updatedAt === order.updatedAt ? previous.attempts + 1 : 1;
+
+        if (attempts < MAX_ATTEMPTS) {
+          state.failures[order.id] = { updatedAt: order.updatedAt, attempts, error: report.message };
+          if (!earliestFailureAt || time(order.updatedAt) < time(earliestFailureAt)) earliestFailureAt = order.updatedAt;
+          if (options.onOrder) options.onOrder(report);
+          save();
+          continue;
+        }
+
+        summary.gaveUp.push({ orderId: order.id, orderName: order.name, attempts, error: report.message });
+      }
+
+      if (report.action !== 'dry_run') {
+        state.handled[order.id] = order.updatedAt;
+        delete state.failures[order.id];
+      }
+
+      if (options.onOrder) options.onOrder(report);
+      save();
+    }
+  } while (page.hasNextPage);
+
+  // Everything up to the first order still to retry has been handled
+  const previousWatermark = state.watermark;
+  let watermark = earliestFailureAt || latestUpdatedAt || base;
+  if (!earliestFailureAt && state.watermark && time(watermark) < time(state.watermark)) {
+    watermark = state.watermark;
+  }
+
+  // Only orders inside the next run's overlap window can be seen again
+  const windowStart = time(watermark) - overlapMs;
+  Object.entries(state.handled).forEach(([orderId, updatedAt]) => {
+    if (time(updatedAt) < windowStart) delete state.handled[orderId];
+  });
+
+  state.watermark = watermark;
+  state.lastRun = startedAt.toISOString();
+  save();
+
+  return {
+    dryRun: Boolean(options.dryRun),
+    search,
+    previousWatermark,
+    watermark,
+    ...summary,
+    orders: reports
+  };
+}
+
+module.exports = { syncOrders, loadSyncState, DEFAULT_OVERLAP_MINUTES };
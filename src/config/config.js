@@ -4,24 +4,115 @@ const config = {
     apiSecret: process.env.SHOPIFY_API_SECRET,
     shopDomain: process.env.SHOPIFY_SHOP_DOMAIN,
     accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+    // Access scopes requested on install; a granted scope set that differs is rejected
+    scopes: (process.env.SHOPIFY_SCOPES || 'read_orders,write_orders,read_locations,read_inventory')
+      .split(',').map(scope => scope.trim()).filter(Boolean),
   },
   
   locations: {
     usaLocationId: process.env.USA_LOCATION_ID,
   },
   
+  routing: {
+    // Path to a JSON file with an ordered array of routing rules
+    rulesPath: process.env.ROUTING_RULES_PATH,
+    // Inline JSON alternative to ROUTING_RULES_PATH
+    rules: process.env.ROUTING_RULES,
+  },
+  
+  shops: {
+    // Path to a JSON file with one entry per shop served by this instance;
+    // without a registry the single shop above is served
+    registryPath: process.env.SHOP_REGISTRY_PATH,
+    // Inline JSON alternative to SHOP_REGISTRY_PATH
+    registry: process.env.SHOP_REGISTRY,
+  },
+  
   server: {
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
     hostName: process.env.HOST_NAME || 'localhost',
+    // Public URL webhook subscriptions point at
+    appUrl: process.env.APP_URL || `https://${process.env.HOST_NAME || 'localhost'}`,
   },
   
   webhook: {
     secret: process.env.WEBHOOK_SECRET,
   },
   
+  admin: {
+    // Bearer token for the /admin endpoints; they are disabled when unset
+    apiToken: process.env.ADMIN_API_TOKEN,
+  },
+  
   processing: {
     delayMinutes: parseInt(process.env.PROCESSING_DELAY_MINUTES) || 1,
+    // Analyze orders and build consolidation plans without moving anything
+    dryRun: process.env.DRY_RUN === 'true',
+    // Merge fulfillment orders that end up at the same location after moving
+    mergeFulfillmentOrders: process.env.MERGE_FULFILLMENT_ORDERS !== 'false',
+  },
+  
+  inventory: {
+    // What to do when the target location cannot stock every line item:
+    // abort (leave the order split), partial (move only the stocked line
+    // items and quantities) or proceed (move everything anyway)
+    policy: process.env.INVENTORY_POLICY || 'abort',
+  },
+  
+  jobStore: {
+    driver: process.env.JOB_STORE_DRIVER || 'file',
+    path: process.env.JOB_STORE_PATH || 'data/jobs.json',
+  },
+  
+  health: {
+    // A job processor tick older than this means the cron has stalled (it runs every 30s)
+    maxTickAgeSeconds: parseInt(process.env.HEALTH_MAX_TICK_AGE_SECONDS) || 120,
+    // How long a Shopify auth/connectivity probe result is reused
+    shopifyProbeTtlSeconds: parseInt(process.env.HEALTH_SHOPIFY_PROBE_TTL_SECONDS) || 60,
+    // A shop that does not answer the probe within this long counts as failing
+    shopifyProbeTimeoutSeconds: parseInt(process.env.HEALTH_SHOPIFY_PROBE_TIMEOUT_SECONDS) || 5,
+  },
+  
+  sessions: {
+    // Offline access tokens of shops that installed the app through OAuth
+    driver: process.env.SESSION_STORE_DRIVER || 'file',
+    path: process.env.SESSION_STORE_PATH || 'data/sessions.json',
+  },
+  
+  audit: {
+    // One entry per fulfillment order move, kept indefinitely
+    driver: process.env.AUDIT_STORE_DRIVER || 'file',
+    path: process.env.AUDIT_STORE_PATH || 'data/audit.jsonl',
+  },
+
+  notifications: {
+    // Comma-separated transports: slack, http, smtp; notifications are off when empty
+    transports: (process.env.NOTIFY_TRANSPORTS || '')
+      .split(',').map(transport => transport.trim()).filter(Boolean),
+    // Slack (or Slack-compatible, e.g. Mattermost) incoming webhook
+    slackWebhookUrl: process.env.NOTIFY_SLACK_WEBHOOK_URL,
+    // Generic endpoint that receives each notification as JSON, with optional extra headers (JSON object)
+    httpUrl: process.env.NOTIFY_HTTP_URL,
+    httpHeaders: process.env.NOTIFY_HTTP_HEADERS,
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      // Implicit TLS (port 465); otherwise STARTTLS is used when the server offers it
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.NOTIFY_EMAIL_FROM,
+      to: process.env.NOTIFY_EMAIL_TO,
+    },
+    // After an alert, further alerts of the same kind for the same shop are held back
+    // this long and counted into the next one
+    throttleMinutes: parseInt(process.env.NOTIFY_THROTTLE_MINUTES) || 15,
+    digest: {
+      enabled: process.env.NOTIFY_DAILY_DIGEST === 'true',
+      // When the app sends the digest of the previous 24 hours (server time zone)
+      cron: process.env.NOTIFY_DIGEST_CRON || '0 8 * * *',
+    },
   },
 };
 
@@ -49,6 +140,13 @@ function validateConfig() {
   }
 }
 
+// With a shop registry, credentials and locations come from the registry instead
+if (config.shops.registryPath || config.shops.registry) {
+  ['shopify.shopDomain', 'shopify.accessToken', 'locations.usaLocationId'].forEach(field => {
+    requiredFields.splice(requiredFields.indexOf(field), 1);
+  });
+}
+
 // Only validate in production or when explicitly required
 if (process.env.NODE_ENV === 'production' || process.env.VALIDATE_CONFIG === 'true') {
   validateConfig();
@@ -0,0 +1,15 @@
+require('@shopify/shopify-api/adapters/node');
+const { shopifyApi, ApiVersion } = require('@shopify/shopify-api');
+const config = require('./config');
+
+// Shared shopify-api instance: OAuth, scope checks and shop domain validation
+const shopify = shopifyApi({
+  apiKey: config.shopify.apiKey,
+  apiSecretKey: config.shopify.apiSecret,
+  scopes: config.shopify.scopes,
+  hostName: config.server.hostName,
+  apiVersion: ApiVersion.October23,
+  isEmbeddedApp: false,
+});
+
+module.exports = shopify;
@@ -0,0 +1,13 @@
+/**
+ * Webhook subscriptions the app expects: one per topic it handles, with the
+ * route's path below the app's public URL. scripts/manage-webhooks.js keeps a
+ * shop's subscriptions in line with this list.
+ */
+module.exports = [
+  { topic: 'ORDERS_CREATE', path: '/webhooks/orders/create' },
+  { topic: 'ORDERS_UPDATED', path: '/webhooks/orders/updated' },
+  { topic: 'ORDERS_EDITED', path: '/webhooks/orders/edited' },
+  { topic: 'ORDERS_CANCELLED', path: '/webhooks/orders/cancelled' },
+  { topic: 'ORDERS_FULFILLED', path: '/webhooks/orders/fulfilled' },
+  { topic: 'APP_UNINSTALLED', path: '/webhooks/app/uninstalled' }
+];
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const jobQueue = require('../services/jobQueue');
+const shopRegistry = require('../services/shopRegistry');
+const { ShopRegistry } = shopRegistry;
+const auditTrail = require('../services/auditTrail');
+const rollbackService = require('../services/rollbackService');
+const config = require('../config/config');
+
+class AdminHandler {
+  constructor() {
+    // Route handlers are passed to Express unbound
+    this.authenticate = this.authenticate.bind(this);
+    this.listJobs = this.listJobs.bind(this);
+    this.getJob = this.getJob.bind(this);
+    this.retryJob = this.retryJob.bind(this);
+    this.cancelJob = this.cancelJob.bind(this);
+    this.enqueueOrder = this.enqueueOrder.bind(this);
+    this.listDeadLetters = this.listDeadLetters.bind(this);
+    this.getDeadLetter = this.getDeadLetter.bind(this);
+    this.replayDeadLetter = this.replayDeadLetter.bind(this);
+    this.replayAllDeadLetters = this.replayAllDeadLetters.bind(this);
+    this.searchAudit = this.searchAudit.bind(this);
+    this.rollback = this.rollback.bind(this);
+  }
+
+  /**
+   * Require `Authorization: Bearer <ADMIN_API_TOKEN>` on admin routes
+   */
+  authenticate(req, res, next) {
+    if (!config.admin.apiToken) {
+      return res.status(503).json({ error: 'Admin API not configured' });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const expected = Buffer.from(config.admin.apiToken);
+    const received = Buffer.from(token || '');
+
+    if (
+      scheme !== 'Bearer' ||
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(received, expected)
+    ) {
+      logger.warn('Unauthorized admin API request', { path: req.path });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  }
+
+  /**
+   * GET /admin/jobs?status=&orderId=&shopDomain=&limit=
+   */
+  listJobs(req, res) {
+    const { status, orderId } = req.query;
+    const shopDomain = req.query.shopDomain && ShopRegistry.normalizeDomain(req.query.shopDomain);
+    const limit = parseInt(req.query.limit) || 100;
+
+    const jobs = jobQueue.listJobs({ status, orderId, shopDomain, limit });
+
+    res.json({ jobs, count: jobs.length, stats: jobQueue.getStats() });
+  }
+
+  /**
+   * GET /admin/jobs/:jobId
+   */
+  getJob(req, res) {
+    const job = jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  }
+
+  /**
+   * POST /admin/jobs/:jobId/retry
+   */
+  retryJob(req, res) {
+    if (!jobQueue.getJob(req.params.jobId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = jobQueue.retryJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(409).json({ error: 'Only failed or scheduled jobs can be retried' });
+    }
+
+    res.json({ job });
+  }
+
+  /**
+   * POST /admin/jobs/:jobId/cancel
+   */
+  cancelJob(req, res) {
+    if (!jobQueue.getJob(req.params.jobId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = jobQueue.cancelJob(req.params.jobId, 'admin_request');
+
+    if (!job) {
+      return res.status(409).json({ error: 'Only scheduled jobs can be cancelled' });
+    }
+
+    res.json({ job });
+  }
+
+  /**
+   * GET /admin/dead-letters
+   */
+  listDeadLetters(req, res) {
+    const deadLetters = jobQueue.listDeadLetters();
+
+    res.json({ deadLetters, count: deadLetters.length });
+  }
+
+  /**
+   * GET /admin/dead-letters/:jobId
+   */
+  getDeadLetter(req, res) {
+    const deadLetter = jobQueue.getDeadLetter(req.params.jobId);
+
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json({ deadLetter });
+  }
+
+  /**
+   * POST /admin/dead-letters/:jobId/replay
+   */
+  async replayDeadLetter(req, res) {
+    try {
+      const newJobId = await jobQueue.replayDeadLetter(req.params.jobId);
+
+      if (!newJobId) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+
+      res.status(202).json({ job: jobQueue.getJob(newJobId) });
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'admin_replay_dead_letter',
+        jobId: req.params.jobId
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * POST /admin/dead-letters/replay - replay every dead-lettered job
+   */
+  async replayAllDeadLetters(req, res) {
+    try {
+      const newJobIds = await jobQueue.replayAllDeadLetters();
+
+      res.status(202).json({ replayed: newJobIds.length, jobIds: newJobIds });
+
+    } catch (error) {
+      logger.logError(error, { context: 'admin_replay_all_dead_letters' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * GET /admin/audit?shopDomain=&orderName=&orderId=&locationId=&from=&to=&trigger=&outcome=&limit=
+   */
+  searchAudit(req, res) {
+    const { orderName, orderId, fulfillmentOrderId, locationId, from, to, action, trigger, outcome } = req.query;
+    const shopDomain = req.query.shopDomain && ShopRegistry.normalizeDomain(req.query.shopDomain);
+    const limit = parseInt(req.query.limit) || 100;
+
+    let entries;
+    try {
+      entries = auditTrail.search({
+        shopDomain, orderName, orderId, fulfillmentOrderId, locationId, from, to, action, trigger, outcome, limit
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ entries, count: entries.length });
+  }
+
+  /**
+   * POST /admin/rollback - body: { orderId } or { orderName } and/or { from, to },
+   * optional { shopDomain, dryRun }
+   */
+  async rollback(req, res) {
+    const { orderId, orderName, from, to, dryRun } = req.body || {};
+    const shopDomain = req.body?.shopDomain && ShopRegistry.normalizeDomain(req.body.shopDomain);
+
+    if (!orderId && !orderName && !from && !to) {
+      return res.status(400).json({ error: 'orderId, orderName or a from/to window is required' });
+    }
+
+    if (!this.isValidDryRun(dryRun)) {
+      return res.status(400).json({ error: 'dryRun must be true or false' });
+    }
+
+    try {
+      const result = await rollbackService.rollback(
+        { shopDomain, orderId, orderName, from, to },
+        { dryRun: dryRun === true, trigger: 'admin' }
+      );
+
+      res.json(result);
+
+    } catch (error) {
+      if (error.message === 'Invalid date range') {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.logError(error, {
+        context: 'admin_rollback',
+        orderId,
+        orderName
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * POST /admin/orders - body: { orderId } or { orderName }, optional { dryRun },
+   * plus { shopDomain } when several shops are registered
+   */
+  async enqueueOrder(req, res) {
+    const { orderName, dryRun, shopDomain } = req.body || {};
+    let { orderId } = req.body || {};
+
+    try {
+      if (!orderId && !orderName) {
+        return res.status(400).json({ error: 'orderId or orderName is required' });
+      }
+
+      if (!this.isValidDryRun(dryRun)) {
+        return res.status(400).json({ error: 'dryRun must be true or false' });
+      }
+
+      const shop = shopRegistry.getShop(shopDomain);
+
+      if (!shop) {
+        return res.status(400).json({
+          error: shopDomain ? `Unknown shop ${shopDomain}` : 'shopDomain is required when several shops are registered'
+        });
+      }
+
+      if (!orderId) {
+        orderId = await shopRegistry.getOrderService(shop.shopDomain).findOrderIdByName(orderName);
+
+        if (!orderId) {
+          return res.status(404).json({ error: `Order ${orderName} not found` });
+        }
+      }
+
+      orderId = String(orderId).split('/').pop();
+
+      const jobId = await jobQueue.scheduleOrderProcessing({
+        shopDomain: shop.shopDomain,
+        orderId,
+        orderNumber: orderName,
+        processAt: new Date(),
+        dryRun,
+        trigger: 'admin',
+        force: true
+      });
+
+      logger.logOrderProcessing(orderId, 'enqueued_by_admin', { jobId, shopDomain: shop.shopDomain });
+
+      res.status(202).json({ job: jobQueue.getJob(jobId) });
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'admin_enqueue_order',
+        orderId,
+        orderName
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * `dryRun` is optional but must be a JSON boolean; a string such as "false"
+   * is rejected rather than read as a dry run
+   */
+  isValidDryRun(dryRun) {
+    return dryRun === undefined || typeof dryRun === 'boolean';
+  }
+}
+
+module.exports = new AdminHandler();
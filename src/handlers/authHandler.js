@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const shopify = require('../config/shopify');
+const sessionService = require('../services/sessionService');
+const jobQueue = require('../services/jobQueue');
+const shopRegistry = require('../services/shopRegistry');
+const { WebhookSubscriptions } = require('../services/webhookSubscriptions');
+
+const CALLBACK_PATH = '/auth/callback';
+
+class AuthHandler {
+  constructor(api = shopify, sessions = sessionService, queue = jobQueue, registry = shopRegistry) {
+    this.shopify = api;
+    this.sessions = sessions;
+    this.queue = queue;
+    this.registry = registry;
+
+    // Route handlers are passed to Express unbound
+    this.beginInstall = this.beginInstall.bind(this);
+    this.completeInstall = this.completeInstall.bind(this);
+    this.handleAppUninstalled = this.handleAppUninstalled.bind(this);
+  }
+
+  /**
+   * GET /auth?shop=your-shop.myshopify.com - redirect the merchant to Shopify to
+   * approve the app's scopes (offline access, so jobs can run without a user)
+   */
+  async beginInstall(req, res) {
+    const shop = this.shopify.utils.sanitizeShop(String(req.query.shop || ''));
+
+    if (!shop) {
+      return res.status(400).json({ error: 'A valid shop domain is required' });
+    }
+
+    try {
+      await this.shopify.auth.begin({
+        shop,
+        callbackPath: CALLBACK_PATH,
+        isOnline: false,
+        rawRequest: req,
+        rawResponse: res
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'oauth_begin', shop });
+      res.status(500).json({ error: 'Could not start installation' });
+    }
+  }
+
+  /**
+   * GET /auth/callback - exchange the authorization code for an offline token,
+   * check the granted scopes, store the session and register the app's webhooks
+   */
+  async completeInstall(req, res) {
+    let session;
+
+    try {
+      ({ session } = await this.shopify.auth.callback({ rawRequest: req, rawResponse: res }));
+    } catch (error) {
+      logger.logError(error, { context: 'oauth_callback', shop: req.query.shop });
+      return res.status(400).json({ error: 'Installation could not be verified' });
+    }
+
+    // The merchant may have been shown an older scope list, or a scope may have been withheld
+    if (!this.shopify.config.scopes.equals(session.scope)) {
+      logger.warn('Installation granted unexpected scopes', {
+        shop: session.shop,
+        granted: session.scope,
+        required: this.shopify.config.scopes.toString()
+      });
+      return res.status(403).json({
+        error: 'Granted scopes do not match the scopes the app requires',
+        granted: session.scope,
+        required: this.shopify.config.scopes.toString()
+      });
+    }
+
+    this.sessions.saveSession(session);
+
+    logger.info('App installed', { shop: session.shop, scope: session.scope });
+
+    const webhooks = await this.registerWebhooks(session);
+
+    res.status(200).json({ success: true, shop: session.shop, scope: session.scope, webhooks });
+  }
+
+  /**
+   * Subscribe a newly installed shop to the webhooks in src/config/webhooks.js,
+   * so its orders are consolidated and APP_UNINSTALLED reaches us. A failure
+   * does not undo the install; scripts/manage-webhooks.js sync can be re-run.
+   * @returns {Promise<{ registered: boolean, created?: number, errors?: Array }>}
+   */
+  async registerWebhooks(session) {
+    try {
+      const shop = this.registry.getShop(session.shop) || { shopDomain: session.shop };
+      const client = this.registry.createClient({ ...shop, accessToken: session.accessToken });
+      const result = await new WebhookSubscriptions(client).sync(config.server.appUrl);
+
+      if (result.errors.length > 0) {
+        logger.warn('Some webhook subscriptions could not be registered', { shop: session.shop, errors: result.errors });
+      }
+
+      return {
+        registered: result.errors.length === 0,
+        created: result.create.length,
+        updated: result.update.length,
+        errors: result.errors
+      };
+    } catch (error) {
+      logger.logError(error, { context: 'webhook_registration', shop: session.shop });
+      return { registered: false, errors: [{ error: error.message }] };
+    }
+  }
+
+  /**
+   * POST /webhooks/app/uninstalled - the token is already invalid, so drop the
+   * shop's sessions and the jobs that could no longer run
+   */
+  handleAppUninstalled(req, res) {
+    const shop = this.shopify.utils.sanitizeShop(String(req.get('X-Shopify-Shop-Domain') || ''));
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Invalid shop domain' });
+    }
+
+    try {
+      const revokedSessions = this.sessions.revokeShop(shop);
+      const cancelledJobs = this.queue.listJobs({ status: 'scheduled', shopDomain: shop })
+        .map(job => this.queue.cancelJob(job.id, 'app/uninstalled'));
+
+      logger.info('App uninstalled', {
+        shop,
+        revokedSessions,
+        cancelledJobs: cancelledJobs.length
+      });
+
+      res.status(200).json({ success: true, revokedSessions, cancelledJobs: cancelledJobs.length });
+
+    } catch (error) {
+      logger.logError(error, { context: 'webhook_app_uninstalled', shop });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new AuthHandler();
+module.exports.AuthHandler = AuthHandler;
@@ -1,26 +1,122 @@
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const jobQueue = require('../services/jobQueue');
+const shopRegistry = require('../services/shopRegistry');
 const config = require('../config/config');
+const metrics = require('../utils/metrics');
+
+const webhooksReceived = metrics.counter('webhooks_received_total', 'Webhooks received', ['topic']);
+const webhooksRejected = metrics.counter('webhooks_rejected_total', 'Webhooks rejected', ['topic', 'reason']);
 
 class WebhookHandler {
+  constructor() {
+    // Route handlers are passed to Express unbound
+    this.verifyRequest = this.verifyRequest.bind(this);
+    this.resolveShop = this.resolveShop.bind(this);
+    this.handleOrderCreate = this.handleOrderCreate.bind(this);
+    this.handleOrderUpdate = this.handleOrderUpdate.bind(this);
+    this.handleOrderEdit = this.handleOrderEdit.bind(this);
+    this.handleOrderCancelled = this.handleOrderCancelled.bind(this);
+    this.handleOrderFulfilled = this.handleOrderFulfilled.bind(this);
+  }
+
+  /**
+   * Secrets a webhook from the shop may be signed with: the shop's own
+   * `webhookSecret` from the registry (a custom app per shop), the app's client
+   * secret (webhooks registered through the Admin API) and, when set,
+   * WEBHOOK_SECRET for webhooks created in the Shopify admin
+   * @param {string} [shopDomain] - Value of the X-Shopify-Shop-Domain header
+   * @returns {string[]}
+   */
+  secretsFor(shopDomain) {
+    const shop = shopRegistry.getShop(shopDomain);
+    const secrets = [
+      shop && shop.webhookSecret,
+      config.shopify.apiSecret,
+      config.webhook.secret
+    ].filter(Boolean);
+
+    return Array.from(new Set(secrets));
+  }
+
   /**
    * Verify webhook signature to ensure it's from Shopify
+   * @param {Buffer|string} rawBody - Exact request bytes as sent by Shopify
+   * @param {string} [signature] - Base64 value of the X-Shopify-Hmac-Sha256 header
+   * @param {string[]} [secrets] - Accepted signing secrets, see secretsFor()
    */
-  verifyWebhook(body, signature) {
-    if (!config.webhook.secret) {
+  verifyWebhook(rawBody, signature, secrets = this.secretsFor()) {
+    if (secrets.length === 0) {
+      if (config.server.nodeEnv === 'production') {
+        logger.error('Webhook secret not configured - refusing unverified webhook in production');
+        return false;
+      }
       logger.warn('Webhook secret not configured - skipping verification');
       return true;
     }
 
-    const hmac = crypto.createHmac('sha256', config.webhook.secret);
-    hmac.update(body);
-    const calculatedSignature = hmac.digest('base64');
-    
-    return crypto.timingSafeEqual(
-      Buffer.from(signature, 'base64'),
-      Buffer.from(calculatedSignature, 'base64')
-    );
+    if (!rawBody || typeof signature !== 'string' || signature.length === 0) {
+      return false;
+    }
+
+    const receivedSignature = Buffer.from(signature, 'base64');
+
+    return secrets.some(secret => {
+      const hmac = crypto.createHmac('sha256', secret);
+      hmac.update(rawBody);
+      const calculatedSignature = hmac.digest();
+
+      // timingSafeEqual throws on length mismatch (malformed or truncated header)
+      if (receivedSignature.length !== calculatedSignature.length) {
+        return false;
+      }
+
+      return crypto.timingSafeEqual(receivedSignature, calculatedSignature);
+    });
+  }
+
+  /**
+   * Express middleware that rejects webhooks whose HMAC does not match the raw body
+   */
+  verifyRequest(req, res, next) {
+    const signature = req.get('X-Shopify-Hmac-Sha256');
+    const topic = req.get('X-Shopify-Topic') || 'unknown';
+    const secrets = this.secretsFor(req.get('X-Shopify-Shop-Domain'));
+
+    webhooksReceived.inc({ topic });
+
+    if (!this.verifyWebhook(req.rawBody, signature, secrets)) {
+      webhooksRejected.inc({ topic, reason: 'invalid_signature' });
+      logger.warn('Invalid webhook signature received', {
+        path: req.path,
+        topic: req.get('X-Shopify-Topic'),
+        hasSignature: Boolean(signature)
+      });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  }
+
+  /**
+   * Express middleware that looks up the sending shop from X-Shopify-Shop-Domain
+   * and attaches it as `req.shop`. With a single registered shop the header is optional.
+   */
+  resolveShop(req, res, next) {
+    const shopDomain = req.get('X-Shopify-Shop-Domain');
+    const shop = shopRegistry.getShop(shopDomain);
+
+    if (!shop) {
+      webhooksRejected.inc({ topic: req.get('X-Shopify-Topic') || 'unknown', reason: 'unknown_shop' });
+      logger.warn('Webhook received for an unknown shop', {
+        path: req.path,
+        shopDomain
+      });
+      return res.status(404).json({ error: 'Unknown shop' });
+    }
+
+    req.shop = shop;
+    next();
   }
 
   /**
@@ -28,23 +124,16 @@ class WebhookHandler {
    */
   async handleOrderCreate(req, res) {
     try {
-      const signature = req.get('X-Shopify-Hmac-Sha256');
-      const body = JSON.stringify(req.body);
-
-      // Verify webhook authenticity
-      if (!this.verifyWebhook(body, signature)) {
-        logger.warn('Invalid webhook signature received');
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-
       const order = req.body;
       
       if (!order || !order.id) {
         logger.warn('Invalid order data received in webhook');
+        webhooksRejected.inc({ topic: req.get('X-Shopify-Topic') || 'unknown', reason: 'invalid_payload' });
         return res.status(400).json({ error: 'Invalid order data' });
       }
 
       logger.logOrderProcessing(order.id, 'webhook_received', {
+        shopDomain: req.shop.shopDomain,
         orderNumber: order.order_number,
         lineItemCount: order.line_items?.length || 0,
         financialStatus: order.financial_status,
@@ -56,9 +145,11 @@ class WebhookHandler {
       const processAt = new Date(Date.now() + delayMs);
 
       await jobQueue.scheduleOrderProcessing({
+        shopDomain: req.shop.shopDomain,
         orderId: order.id,
         orderNumber: order.order_number,
-        processAt
+        processAt,
+        trigger: 'orders/create'
       });
 
       logger.logOrderProcessing(order.id, 'scheduled_for_processing', {
@@ -75,7 +166,142 @@ class WebhookHandler {
     } catch (error) {
       logger.logError(error, { 
         context: 'webhook_order_create',
-        orderId: req.body?.id 
+        shopDomain: req.shop?.shopDomain,
+        orderId: req.body?.id
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Handle orders/updated: the payload is the full order, like orders/create
+   */
+  async handleOrderUpdate(req, res) {
+    const order = req.body;
+
+    if (!order || !order.id) {
+      logger.warn('Invalid order data received in webhook');
+      webhooksRejected.inc({ topic: req.get('X-Shopify-Topic') || 'unknown', reason: 'invalid_payload' });
+      return res.status(400).json({ error: 'Invalid order data' });
+    }
+
+    await this.scheduleReevaluation(res, {
+      shopDomain: req.shop.shopDomain,
+      orderId: order.id,
+      orderNumber: order.order_number,
+      topic: 'orders/updated'
+    });
+  }
+
+  /**
+   * Handle orders/edited: the payload is `{ order_edit: { order_id, line_items, ... } }`
+   */
+  async handleOrderEdit(req, res) {
+    const orderId = req.body?.order_edit?.order_id;
+
+    if (!orderId) {
+      logger.warn('Invalid order edit data received in webhook');
+      webhooksRejected.inc({ topic: req.get('X-Shopify-Topic') || 'unknown', reason: 'invalid_payload' });
+      return res.status(400).json({ error: 'Invalid order edit data' });
+    }
+
+    await this.scheduleReevaluation(res, { shopDomain: req.shop.shopDomain, orderId, topic: 'orders/edited' });
+  }
+
+  /**
+   * Handle orders/cancelled: nothing is left to consolidate
+   */
+  async handleOrderCancelled(req, res) {
+    await this.cancelPendingJobs(req, res, 'orders/cancelled');
+  }
+
+  /**
+   * Handle orders/fulfilled: the order was fulfilled (e.g. manually) before we got to it
+   */
+  async handleOrderFulfilled(req, res) {
+    await this.cancelPendingJobs(req, res, 'orders/fulfilled');
+  }
+
+  /**
+   * Cancel the order's jobs that have not run yet. A job already running
+   * notices the change when it re-checks the order before moving anything.
+   */
+  async cancelPendingJobs(req, res, topic) {
+    const order = req.body;
+
+    if (!order || !order.id) {
+      logger.warn('Invalid order data received in webhook');
+      webhooksRejected.inc({ topic, reason: 'invalid_payload' });
+      return res.status(400).json({ error: 'Invalid order data' });
+    }
+
+    const { shopDomain } = req.shop;
+
+    try {
+      logger.logOrderProcessing(order.id, 'webhook_received', { topic, shopDomain, orderNumber: order.order_number });
+
+      const cancelledJobs = jobQueue.cancelOrderJobs(order.id, topic, shopDomain);
+
+      res.status(200).json({
+        success: true,
+        message: `Cancelled ${cancelledJobs.length} pending job(s)`,
+        cancelledJobIds: cancelledJobs.map(job => job.id)
+      });
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'webhook_cancel_jobs',
+        shopDomain,
+        orderId: order.id,
+        topic
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Schedule a debounced re-evaluation of an order that changed after creation.
+   * It runs even for already processed orders, but only acts when the order's
+   * fulfillment orders or routing inputs differ from the last evaluation.
+   */
+  async scheduleReevaluation(res, { shopDomain, orderId, orderNumber, topic }) {
+    try {
+      logger.logOrderProcessing(orderId, 'webhook_received', { topic, shopDomain, orderNumber });
+
+      // Each update pushes the evaluation back, so a burst of updates is evaluated once
+      const delayMs = config.processing.delayMinutes * 60 * 1000;
+      const processAt = new Date(Date.now() + delayMs);
+
+      const jobId = await jobQueue.scheduleOrderProcessing({
+        shopDomain,
+        orderId,
+        orderNumber,
+        processAt,
+        trigger: topic,
+        force: true,
+        debounce: true,
+        skipIfUnchanged: true
+      });
+
+      logger.logOrderProcessing(orderId, 'scheduled_for_reevaluation', {
+        jobId,
+        topic,
+        processAt: processAt.toISOString()
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Order scheduled for re-evaluation',
+        jobId,
+        processAt: processAt.toISOString()
+      });
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'webhook_order_reevaluation',
+        shopDomain,
+        orderId,
+        topic
       });
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -3,12 +3,16 @@ const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { shopifyApi } = require('@shopify/shopify-api');
-const { ApiVersion } = require('@shopify/shopify-api');
 
 const logger = require('./utils/logger');
 const webhookHandler = require('./handlers/webhookHandler');
+const adminHandler = require('./handlers/adminHandler');
+const authHandler = require('./handlers/authHandler');
 const jobProcessor = require('./services/jobProcessor');
+const jobQueue = require('./services/jobQueue');
+const metrics = require('./utils/metrics');
+const healthService = require('./services/healthService');
+const notifier = require('./services/notifier');
 const config = require('./config/config');
 
 const app = express();
@@ -17,26 +21,80 @@ const app = express();
 app.use(helmet());
 app.use(cors());
 
-// Parse JSON bodies
-app.use(bodyParser.json({ limit: '1mb' }));
-
-// Initialize Shopify API
-const shopify = shopifyApi({
-  apiKey: config.shopify.apiKey,
-  apiSecretKey: config.shopify.apiSecret,
-  scopes: ['read_orders', 'write_orders', 'read_locations', 'read_inventory'],
-  hostName: config.server.hostName,
-  apiVersion: ApiVersion.October23,
-  isEmbeddedApp: false,
+// Parse JSON bodies, keeping the exact bytes of webhook requests for HMAC verification
+app.use(bodyParser.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+
+// App install (OAuth) - stores the shop's offline access token
+app.get('/auth', authHandler.beginInstall);
+app.get('/auth/callback', authHandler.completeInstall);
+
+// Liveness: the process is up and the job processor is ticking
+app.get(['/health', '/health/live'], (req, res) => {
+  const { ok, checks } = healthService.checkLiveness();
+  res.status(ok ? 200 : 503).json({
+    status: ok ? 'healthy' : 'unhealthy',
+    checks,
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+// Readiness: job store reachable and Shopify token accepted, so orders can be consolidated
+app.get('/health/ready', async (req, res) => {
+  const { ok, checks } = await healthService.checkReadiness();
+  res.status(ok ? 200 : 503).json({
+    status: ok ? 'ready' : 'not_ready',
+    checks,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Queue depth is read from the job store on every scrape
+metrics.gauge('job_queue_jobs', 'Jobs in the queue by status', ['status'], gauge => {
+  const { scheduled, processing, completed, failed, cancelled, deadLettered } = jobQueue.getStats();
+  Object.entries({ scheduled, processing, completed, failed, cancelled, dead_lettered: deadLettered })
+    .forEach(([status, count]) => gauge.set({ status }, count));
+});
+metrics.gauge('processed_orders', 'Orders recorded as consolidated (idempotency set)', [], gauge => {
+  gauge.set({}, jobQueue.getStats().processedOrders);
+});
+
+// Prometheus metrics endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
 });
 
 // Webhook endpoints
-app.post('/webhooks/orders/create', webhookHandler.handleOrderCreate);
+app.post('/webhooks/app/uninstalled', webhookHandler.verifyRequest, authHandler.handleAppUninstalled);
+app.post('/webhooks/orders/create', webhookHandler.verifyRequest, webhookHandler.resolveShop, webhookHandler.handleOrderCreate);
+app.post('/webhooks/orders/updated', webhookHandler.verifyRequest, webhookHandler.resolveShop, webhookHandler.handleOrderUpdate);
+app.post('/webhooks/orders/edited', webhookHandler.verifyRequest, webhookHandler.resolveShop, webhookHandler.handleOrderEdit);
+app.post('/webhooks/orders/cancelled', webhookHandler.verifyRequest, webhookHandler.resolveShop, webhookHandler.handleOrderCancelled);
+app.post('/webhooks/orders/fulfilled', webhookHandler.verifyRequest, webhookHandler.resolveShop, webhookHandler.handleOrderFulfilled);
+
+// Admin endpoints (Bearer ADMIN_API_TOKEN)
+app.use('/admin', adminHandler.authenticate);
+app.get('/admin/jobs', adminHandler.listJobs);
+app.get('/admin/jobs/:jobId', adminHandler.getJob);
+app.post('/admin/jobs/:jobId/retry', adminHandler.retryJob);
+app.post('/admin/jobs/:jobId/cancel', adminHandler.cancelJob);
+app.post('/admin/orders', adminHandler.enqueueOrder);
+app.get('/admin/dead-letters', adminHandler.listDeadLetters);
+app.post('/admin/dead-letters/replay', adminHandler.replayAllDeadLetters);
+app.get('/admin/dead-letters/:jobId', adminHandler.getDeadLetter);
+app.post('/admin/dead-letters/:jobId/replay', adminHandler.replayDeadLetter);
+app.get('/admin/audit', adminHandler.searchAudit);
+app.post('/admin/rollback', adminHandler.rollback);
+
+// Notifications that cannot be delivered are logged with the app's errors
+notifier.onError = (error, context) => logger.logError(error, context);
 
 // Start job processor
 jobProcessor.start();
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const { createAuditStore } = require('../stores');
+
+/**
+ * Structured history of fulfillment order moves: who moved what, from where to
+ * where, when, why (trigger and routing rule) and with what outcome.
+ */
+class AuditTrail {
+  constructor(store = createAuditStore(config.audit)) {
+    this.store = store;
+  }
+
+  /**
+   * Record one fulfillment order move
+   * @param {Object} entry - orderId, orderName, fulfillmentOrderId, fromLocationId,
+   *   toLocationId, trigger, rule, outcome and any extra details
+   * @returns {Object} The stored entry
+   */
+  recordMove(entry) {
+    return this.record({ action: 'move', ...entry });
+  }
+
+  /**
+   * Record merging fulfillment orders at one location
+   * @param {Object} entry - `fulfillmentOrderId` is the merged fulfillment order;
+   *   `lineItems` lists what each merged one contributed ({ fulfillmentOrderId,
+   *   lineItemId, quantity, moveEntryId })
+   */
+  recordMerge(entry) {
+    return this.record({ action: 'merge', ...entry });
+  }
+
+  /**
+   * Record moving a fulfillment order back to where a recorded move took it from
+   * @param {Object} entry - Same fields as a move, plus `rollbackOf` (the move entry ID)
+   */
+  recordRollback(entry) {
+    return this.record({ action: 'rollback', ...entry });
+  }
+
+  /**
+   * IDs of move entries that have already been rolled back successfully
+   */
+  getRolledBackEntryIds() {
+    return new Set(
+      this.store.getAllEntries()
+        .filter(entry => entry.action === 'rollback' && entry.outcome === 'rolled_back')
+        .map(entry => entry.rollbackOf)
+    );
+  }
+
+  /**
+   * Append an entry with a generated ID and timestamp
+   */
+  record(entry) {
+    const stored = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...entry,
+      orderId: entry.orderId === undefined ? undefined : String(entry.orderId).split('/').pop(),
+      fromLocationId: this.normalizeLocationId(entry.fromLocationId),
+      toLocationId: this.normalizeLocationId(entry.toLocationId)
+    };
+
+    this.store.appendEntry(stored);
+    return stored;
+  }
+
+  /**
+   * Search the trail, newest first
+   * @param {Object} filters
+   * @param {string} [filters.shopDomain]
+   * @param {string} [filters.orderName] - With or without the leading '#'
+   * @param {string} [filters.orderId]
+   * @param {string} [filters.fulfillmentOrderId]
+   * @param {string} [filters.locationId] - Matches either end of a move
+   * @param {string|Date} [filters.from] - Inclusive lower bound on the timestamp
+   * @param {string|Date} [filters.to] - Inclusive upper bound on the timestamp
+   * @param {string} [filters.action]
+   * @param {string} [filters.trigger]
+   * @param {string} [filters.outcome]
+   * @param {number} [filters.limit]
+   */
+  search(filters = {}) {
+    const orderName = filters.orderName && this.normalizeOrderName(filters.orderName);
+    const orderId = filters.orderId && String(filters.orderId).split('/').pop();
+    const locationId = filters.locationId && this.normalizeLocationId(filters.locationId);
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw new Error('Invalid date range');
+    }
+
+    const entries = this.store.getAllEntries()
+      .filter(entry => {
+        const timestamp = new Date(entry.timestamp).getTime();
+
+        return (!filters.shopDomain || entry.shopDomain === filters.shopDomain) &&
+          (!orderName || this.normalizeOrderName(entry.orderName) === orderName) &&
+          (!orderId || entry.orderId === orderId) &&
+          (!filters.fulfillmentOrderId || entry.fulfillmentOrderId === filters.fulfillmentOrderId ||
+            entry.movedFulfillmentOrderId === filters.fulfillmentOrderId) &&
+          (!locationId || entry.fromLocationId === locationId || entry.toLocationId === locationId) &&
+          (from === null || timestamp >= from) &&
+          (to === null || timestamp <= to) &&
+          (!filters.action || entry.action === filters.action) &&
+          (!filters.trigger || entry.trigger === filters.trigger) &&
+          (!filters.outcome || entry.outcome === filters.outcome);
+      })
+      .reverse();
+
+    return filters.limit ? entries.slice(0, filters.limit) : entries;
+  }
+
+  /**
+   * "#1001", "1001" and 1001 all refer to the same order
+   */
+  normalizeOrderName(orderName) {
+    return orderName === undefined || orderName === null
+      ? null
+      : String(orderName).trim().replace(/^#/, '');
+  }
+
+  /**
+   * Store location IDs in numeric form, whether given as GIDs or not
+   */
+  normalizeLocationId(locationId) {
+    return locationId === undefined || locationId === null
+      ? locationId
+      : String(locationId).split('/').pop();
+  }
+}
+
+module.exports = new AuditTrail();
+module.exports.AuditTrail = AuditTrail;
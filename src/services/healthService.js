@@ -0,0 +1,166 @@
+const config = require('../config/config');
+const jobProcessor = require('./jobProcessor');
+const jobQueue = require('./jobQueue');
+const shopRegistry = require('./shopRegistry');
+
+const SHOP_QUERY = `
+  query healthCheck {
+    shop {
+      name
+    }
+  }
+`;
+
+/**
+ * Liveness and readiness checks.
+ *
+ * Liveness: the job processor is running and its cron ticked recently.
+ * Readiness: additionally the job store is reachable and Shopify accepts the
+ * token of at least one shop - i.e. the service can actually consolidate
+ * orders right now. Each shop's probe is reported; shops that fail it are
+ * listed without taking the others out of rotation.
+ */
+class HealthService {
+  /**
+   * @param {Map<string, Object>} [clients] - Shopify client per shop domain; by
+   *   default one per registered or installed shop at the time of the check
+   */
+  constructor(processor = jobProcessor, queue = jobQueue, clients = null, options = config.health) {
+    this.processor = processor;
+    this.queue = queue;
+    this.clients = clients;
+    this.maxTickAgeMs = options.maxTickAgeSeconds * 1000;
+    this.shopifyProbeTtlMs = options.shopifyProbeTtlSeconds * 1000;
+    this.shopifyProbeTimeoutMs = options.shopifyProbeTimeoutSeconds * 1000;
+    this.shopifyProbe = null;
+  }
+
+  /**
+   * Is the process alive and processing jobs?
+   */
+  checkLiveness() {
+    const processor = this.checkJobProcessor();
+
+    return {
+      ok: processor.ok,
+      checks: { jobProcessor: processor }
+    };
+  }
+
+  /**
+   * Can the service consolidate orders right now?
+   */
+  async checkReadiness() {
+    const checks = {
+      jobProcessor: this.checkJobProcessor(),
+      jobStore: this.queue.checkStore(),
+      shopify: await this.checkShopify()
+    };
+
+    return {
+      ok: Object.values(checks).every(check => check.ok),
+      checks
+    };
+  }
+
+  /**
+   * The processor must be running and have completed a tick within maxTickAgeMs
+   * (measured from start-up until the first tick)
+   */
+  checkJobProcessor() {
+    const status = this.processor.getStatus();
+    const result = {
+      isRunning: status.isRunning,
+      lastTickAt: status.lastTickAt,
+      lastSuccessfulTickAt: status.lastSuccessfulTickAt,
+      lastTickError: status.lastTickError,
+      currentlyProcessing: status.currentlyProcessing
+    };
+
+    if (!status.isRunning) {
+      return { ok: false, error: 'Job processor is not running', ...result };
+    }
+
+    const reference = status.lastSuccessfulTickAt || status.startedAt;
+    const ageMs = reference ? Date.now() - new Date(reference).getTime() : Infinity;
+
+    if (ageMs > this.maxTickAgeMs) {
+      return {
+        ok: false,
+        error: `No successful processing tick for ${Math.round(ageMs / 1000)}s`,
+        ...result
+      };
+    }
+
+    return { ok: true, ...result };
+  }
+
+  /**
+   * Probe every shop with a minimal authenticated query. OK while at least one
+   * shop is usable. Shops are probed in parallel, so the check takes at most
+   * one probe timeout however many shops there are. The result is cached for
+   * shopifyProbeTtlMs so frequent health checks do not spend API capacity.
+   */
+  async checkShopify() {
+    if (this.shopifyProbe && Date.now() - this.shopifyProbe.checkedAt < this.shopifyProbeTtlMs) {
+      return this.shopifyProbe.result;
+    }
+
+    const clients = [...(this.clients || createProbeClients(shopRegistry, this.shopifyProbeTimeoutMs))];
+    const probes = await Promise.allSettled(clients.map(([, client]) => this.probeShop(client)));
+    const shops = {};
+    clients.forEach(([shopDomain], index) => {
+      const probe = probes[index];
+      shops[shopDomain || 'default'] = probe.status === 'fulfilled'
+        ? probe.value
+        : { ok: false, error: probe.reason.message };
+    });
+
+    const failingShops = Object.keys(shops).filter(shopDomain => !shops[shopDomain].ok);
+    const usableShops = Object.keys(shops).length - failingShops.length;
+    const result = {
+      ok: usableShops > 0,
+      usableShops,
+      failingShops,
+      shops,
+      checkedAt: new Date().toISOString()
+    };
+
+    if (!result.ok) {
+      result.error = 'No shop is usable';
+    }
+    this.shopifyProbe = { checkedAt: Date.now(), result };
+
+    return result;
+  }
+
+  /**
+   * Run the probe query against one shop
+   */
+  async probeShop(client) {
+    if (!client.accessToken) {
+      return { ok: false, error: 'No access token - the app is not installed' };
+    }
+
+    try {
+      const data = await client.query(SHOP_QUERY);
+      return { ok: true, shop: data.shop?.name };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * One client per registered shop. The probe fails fast instead of backing off
+ * and gives up after timeoutMs, so a health check never hangs.
+ */
+function createProbeClients(registry, timeoutMs) {
+  return new Map(registry.listShops().map(shop => [
+    shop.shopDomain,
+    registry.createClient(shop, { maxRetries: 0, timeoutMs })
+  ]));
+}
+
+module.exports = new HealthService();
+module.exports.HealthService = HealthService;
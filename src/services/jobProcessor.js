@@ -1,12 +1,19 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
+const config = require('../config/config');
 const jobQueue = require('./jobQueue');
-const orderService = require('./orderService');
+const notifier = require('./notifier');
+const shopRegistry = require('./shopRegistry');
 
 class JobProcessor {
   constructor() {
     this.isRunning = false;
     this.processingJobs = new Set();
+    this.startedAt = null;
+    // Health checks use these to tell a stalled cron from an idle queue
+    this.lastTickAt = null;
+    this.lastSuccessfulTickAt = null;
+    this.lastTickError = null;
   }
 
   /**
@@ -31,16 +38,43 @@ class JobProcessor {
       logger.debug('Job queue stats', stats);
     });
 
+    if (config.notifications.digest.enabled && notifier.enabled) {
+      cron.schedule(config.notifications.digest.cron, async () => {
+        try {
+          await notifier.sendDailyDigest();
+        } catch (error) {
+          logger.logError(error, { context: 'daily_digest' });
+        }
+      });
+    }
+
     this.isRunning = true;
+    this.startedAt = new Date();
     logger.info('Job processor started');
   }
 
   /**
-   * Process ready jobs
+   * Process ready jobs, recording when the tick ran and whether it succeeded
    */
   async processJobs() {
     if (!this.isRunning) return;
 
+    this.lastTickAt = new Date();
+
+    try {
+      await this.processReadyJobs();
+      this.lastSuccessfulTickAt = new Date();
+      this.lastTickError = null;
+    } catch (error) {
+      this.lastTickError = error.message;
+      logger.logError(error, { context: 'job_processor_tick' });
+    }
+  }
+
+  /**
+   * Run the jobs that are due, up to the concurrency limit
+   */
+  async processReadyJobs() {
     const readyJobs = jobQueue.getReadyJobs();
     
     if (readyJobs.length === 0) return;
@@ -67,7 +101,7 @@ class JobProcessor {
    * Process a single job
    */
   async processJob(job) {
-    const { id: jobId, orderId } = job;
+    const { id: jobId, orderId, shopDomain } = job;
 
     try {
       // Mark as processing
@@ -76,11 +110,18 @@ class JobProcessor {
 
       logger.logOrderProcessing(orderId, 'processing_started', {
         jobId,
+        shopDomain,
         attempt: job.attempts + 1
       });
 
-      // Execute the actual order processing
-      const result = await orderService.processOrderLocationConsolidation(orderId);
+      // Execute the actual order processing with the shop's credentials and rules
+      const orderService = shopRegistry.getOrderService(shopDomain);
+      const result = await orderService.processOrderLocationConsolidation(orderId, {
+        dryRun: job.dryRun,
+        trigger: job.trigger,
+        jobId,
+        previousFingerprint: job.skipIfUnchanged ? jobQueue.getOrderFingerprint(orderId, shopDomain) : undefined
+      });
 
       // Mark as completed
       jobQueue.markJobAsCompleted(jobId, result);
@@ -89,6 +130,7 @@ class JobProcessor {
       logger.logError(error, {
         context: 'job_processing',
         jobId,
+        shopDomain,
         orderId
       });
 
@@ -115,6 +157,10 @@ class JobProcessor {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      startedAt: this.startedAt,
+      lastTickAt: this.lastTickAt,
+      lastSuccessfulTickAt: this.lastSuccessfulTickAt,
+      lastTickError: this.lastTickError,
       currentlyProcessing: this.processingJobs.size,
       queueStats: jobQueue.getStats()
     };
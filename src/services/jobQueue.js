@@ -1,43 +1,104 @@
 const logger = require('../utils/logger');
+const config = require('../config/config');
+const { createJobStore } = require('../stores');
+const metrics = require('../utils/metrics');
+const notifier = require('./notifier');
+
+const jobsScheduled = metrics.counter('jobs_scheduled_total', 'Consolidation jobs scheduled', ['trigger']);
+const jobsDebounced = metrics.counter('jobs_debounced_total', 'Triggers folded into an already scheduled job', ['trigger']);
+const jobsRetried = metrics.counter('jobs_retried_total', 'Consolidation jobs rescheduled after a failure or retried by an admin', ['reason']);
+const jobsCompleted = metrics.counter('jobs_completed_total', 'Consolidation jobs completed');
+const jobsCancelled = metrics.counter('jobs_cancelled_total', 'Consolidation jobs cancelled before they ran', ['reason']);
+const jobsDeadLettered = metrics.counter('jobs_dead_lettered_total', 'Consolidation jobs moved to the dead-letter store');
+const ordersProcessed = metrics.counter('orders_processed_total', 'Orders processed by outcome (consolidated, no_change_needed, ...)', ['action']);
 
 class JobQueue {
-  constructor() {
-    this.jobs = new Map();
-    this.processedOrders = new Set(); // Track processed orders for idempotency
+  constructor(store = createJobStore(config.jobStore), notify = notifier) {
+    this.store = store;
+    this.notifier = notify;
+    this.recoverInterruptedJobs();
+  }
+
+  /**
+   * Reschedule jobs left in `processing` by a crash or restart so they run again
+   */
+  recoverInterruptedJobs() {
+    let recovered = 0;
+
+    for (const job of this.store.getAllJobs()) {
+      if (job.status === 'processing') {
+        job.status = 'scheduled';
+        job.processAt = new Date();
+        this.store.saveJob(job);
+        recovered++;
+      }
+    }
+
+    if (recovered > 0) {
+      logger.info(`Recovered ${recovered} interrupted job(s) from job store`);
+    }
+
+    return recovered;
   }
 
   /**
    * Schedule an order for processing
+   * @param {Object} jobData
+   * @param {string} [jobData.shopDomain] - Shop the order belongs to (the only shop when omitted)
+   * @param {boolean} [jobData.force] - Skip the idempotency check (manual enqueue)
+   * @param {boolean} [jobData.debounce] - Fold into the order's pending job, if any, by
+   *   pushing its processAt back instead of scheduling another job
+   * @param {boolean} [jobData.skipIfUnchanged] - Leave the order alone when its fingerprint
+   *   matches the last evaluation (re-evaluations after updates/edits)
+   * @returns {Promise<string|false>} The job ID, or false if the order was already processed
    */
   async scheduleOrderProcessing(jobData) {
-    const { orderId, orderNumber, processAt } = jobData;
+    const {
+      shopDomain, orderId, orderNumber, processAt, dryRun, trigger,
+      force = false, debounce = false, skipIfUnchanged = false
+    } = jobData;
     
     // Check if order was already processed (idempotency)
-    if (this.processedOrders.has(orderId)) {
+    if (!force && this.hasProcessedOrder(orderId, shopDomain)) {
       logger.logOrderProcessing(orderId, 'already_processed', {
+        shopDomain,
         orderNumber,
         reason: 'idempotency_check'
       });
       return false;
     }
 
-    const jobId = `order_${orderId}_${Date.now()}`;
+    if (debounce) {
+      const pending = this.findPendingJob(orderId, shopDomain);
+      if (pending) {
+        return this.debounceJob(pending, { processAt, trigger, skipIfUnchanged });
+      }
+    }
+
+    const jobId = this.generateJobId(orderId);
     
     const job = {
       id: jobId,
       type: 'order_processing',
+      shopDomain,
       orderId,
       orderNumber,
       processAt,
       status: 'scheduled',
       createdAt: new Date(),
       attempts: 0,
-      maxAttempts: 3
+      maxAttempts: 3,
+      errors: [],
+      dryRun,
+      trigger,
+      skipIfUnchanged
     };
 
-    this.jobs.set(jobId, job);
+    this.store.saveJob(job);
+    jobsScheduled.inc({ trigger: trigger || 'unknown' });
     
     logger.debug(`Job scheduled: ${jobId}`, {
+      shopDomain,
       orderId,
       processAt: processAt.toISOString()
     });
@@ -45,32 +106,112 @@ class JobQueue {
     return jobId;
   }
 
+  /**
+   * The order's scheduled (not yet running) job, if any
+   */
+  findPendingJob(orderId, shopDomain) {
+    return this.listJobs({ status: 'scheduled', orderId, shopDomain })[0];
+  }
+
+  /**
+   * Key for the per-order idempotency and fingerprint records. Order IDs are
+   * only unique within a shop.
+   */
+  getOrderKey(shopDomain, orderId) {
+    return shopDomain ? `${shopDomain}:${orderId}` : String(orderId);
+  }
+
+  /**
+   * Keys to look an order up under, newest format first. Records saved before
+   * orders were keyed by shop use the bare order ID; Shopify order IDs are
+   * unique across shops, so those still identify the order.
+   */
+  getOrderLookupKeys(shopDomain, orderId) {
+    const key = this.getOrderKey(shopDomain, orderId);
+    return shopDomain ? [key, String(orderId)] : [key];
+  }
+
+  /**
+   * Whether the order was already processed (for real, not in a dry run)
+   */
+  hasProcessedOrder(orderId, shopDomain) {
+    return this.getOrderLookupKeys(shopDomain, orderId).some(key => this.store.hasProcessedOrder(key));
+  }
+
+  /**
+   * Push a pending job back so a burst of triggers results in one evaluation
+   * @returns {string} The pending job's ID
+   */
+  debounceJob(job, { processAt, trigger, skipIfUnchanged }) {
+    if (processAt > job.processAt) {
+      job.processAt = processAt;
+    }
+    // A full evaluation already pending (e.g. from orders/create) wins
+    job.skipIfUnchanged = Boolean(job.skipIfUnchanged && skipIfUnchanged);
+    job.debouncedTriggers = [...(job.debouncedTriggers || []), trigger];
+    this.store.saveJob(job);
+    jobsDebounced.inc({ trigger: trigger || 'unknown' });
+
+    logger.logOrderProcessing(job.orderId, 'job_debounced', {
+      jobId: job.id,
+      trigger,
+      processAt: job.processAt.toISOString()
+    });
+
+    return job.id;
+  }
+
+  /**
+   * Fingerprint of the order's state at its last evaluation
+   */
+  getOrderFingerprint(orderId, shopDomain) {
+    return this.getOrderLookupKeys(shopDomain, orderId)
+      .map(key => this.store.getOrderFingerprint(key))
+      .find(Boolean);
+  }
+
+  /**
+   * Record the order's current state as evaluated, so re-evaluations leave it
+   * alone until it changes (e.g. after a rollback moved its fulfillment orders)
+   */
+  setOrderFingerprint(orderId, shopDomain, fingerprint) {
+    this.store.setOrderFingerprint(this.getOrderKey(shopDomain, orderId), fingerprint);
+  }
+
+  /**
+   * Build a job ID that is not already used by a job or dead letter
+   */
+  generateJobId(orderId) {
+    const baseId = `order_${orderId}_${Date.now()}`;
+    let jobId = baseId;
+
+    for (let n = 1; this.store.getJob(jobId) || this.store.getDeadLetter(jobId); n++) {
+      jobId = `${baseId}_${n}`;
+    }
+
+    return jobId;
+  }
+
   /**
    * Get jobs ready for processing
    */
   getReadyJobs() {
     const now = new Date();
-    const readyJobs = [];
-
-    for (const [jobId, job] of this.jobs.entries()) {
-      if (job.status === 'scheduled' && job.processAt <= now) {
-        readyJobs.push(job);
-      }
-    }
 
-    return readyJobs;
+    return this.store.getAllJobs()
+      .filter(job => job.status === 'scheduled' && job.processAt <= now);
   }
 
   /**
    * Mark job as processing
    */
   markJobAsProcessing(jobId) {
-    const job = this.jobs.get(jobId);
+    const job = this.store.getJob(jobId);
     if (job) {
       job.status = 'processing';
       job.startedAt = new Date();
       job.attempts += 1;
-      this.jobs.set(jobId, job);
+      this.store.saveJob(job);
     }
   }
 
@@ -78,15 +219,24 @@ class JobQueue {
    * Mark job as completed
    */
   markJobAsCompleted(jobId, result = {}) {
-    const job = this.jobs.get(jobId);
+    const job = this.store.getJob(jobId);
     if (job) {
       job.status = 'completed';
       job.completedAt = new Date();
       job.result = result;
-      this.jobs.set(jobId, job);
+      this.store.saveJob(job);
+
+      jobsCompleted.inc();
+      ordersProcessed.inc({ action: result.action || 'unknown' });
       
-      // Mark order as processed for idempotency
-      this.processedOrders.add(job.orderId);
+      // Mark order as processed for idempotency (a dry run changed nothing)
+      if (!result.dryRun) {
+        const orderKey = this.getOrderKey(job.shopDomain, job.orderId);
+        this.store.addProcessedOrder(orderKey);
+        if (result.fulfillmentOrderFingerprint) {
+          this.store.setOrderFingerprint(orderKey, result.fulfillmentOrderFingerprint);
+        }
+      }
       
       logger.logOrderProcessing(job.orderId, 'job_completed', {
         jobId,
@@ -100,11 +250,16 @@ class JobQueue {
    * Mark job as failed
    */
   markJobAsFailed(jobId, error) {
-    const job = this.jobs.get(jobId);
+    const job = this.store.getJob(jobId);
     if (job) {
       job.status = 'failed';
       job.failedAt = new Date();
       job.error = error.message || error;
+      job.errors = [...(job.errors || []), {
+        attempt: job.attempts,
+        error: job.error,
+        failedAt: job.failedAt.toISOString()
+      }];
       
       // Retry logic
       if (job.attempts < job.maxAttempts) {
@@ -112,6 +267,7 @@ class JobQueue {
         const backoffMs = Math.pow(2, job.attempts) * 60000; // 1min, 2min, 4min
         job.processAt = new Date(Date.now() + backoffMs);
         job.status = 'scheduled';
+        jobsRetried.inc({ reason: 'backoff' });
         
         logger.logOrderProcessing(job.orderId, 'job_rescheduled', {
           jobId,
@@ -126,9 +282,187 @@ class JobQueue {
           orderId: job.orderId,
           error: job.error
         });
+
+        this.moveToDeadLetter(job);
+        return;
       }
       
-      this.jobs.set(jobId, job);
+      this.store.saveJob(job);
+    }
+  }
+
+  /**
+   * Move an exhausted job to the dead-letter store, where it is kept until replayed
+   */
+  moveToDeadLetter(job) {
+    job.status = 'dead_lettered';
+    job.deadLetteredAt = new Date();
+    this.store.saveDeadLetter(job);
+    jobsDeadLettered.inc();
+
+    logger.logOrderProcessing(job.orderId, 'job_dead_lettered', {
+      jobId: job.id,
+      attempts: job.attempts,
+      error: job.error
+    });
+
+    this.notifier.alertDeadLetter(job);
+  }
+
+  /**
+   * List dead-lettered jobs, newest first
+   */
+  listDeadLetters() {
+    return this.store.getAllDeadLetters()
+      .sort((a, b) => b.deadLetteredAt - a.deadLetteredAt);
+  }
+
+  /**
+   * Get a single dead-lettered job by ID
+   */
+  getDeadLetter(jobId) {
+    return this.store.getDeadLetter(jobId);
+  }
+
+  /**
+   * Schedule a dead-lettered job to run again now. The new job carries the
+   * previous error history and is removed from the dead-letter store.
+   * @returns {Promise<string|null>} The new job ID, or null if no such dead letter
+   */
+  async replayDeadLetter(jobId) {
+    const deadLetter = this.store.getDeadLetter(jobId);
+    if (!deadLetter) {
+      return null;
+    }
+
+    const newJobId = await this.scheduleOrderProcessing({
+      shopDomain: deadLetter.shopDomain,
+      orderId: deadLetter.orderId,
+      orderNumber: deadLetter.orderNumber,
+      processAt: new Date(),
+      dryRun: deadLetter.dryRun,
+      trigger: 'dead_letter_replay',
+      force: true
+    });
+
+    const newJob = this.store.getJob(newJobId);
+    newJob.replayOf = jobId;
+    newJob.errors = [...(deadLetter.errors || [])];
+    this.store.saveJob(newJob);
+    this.store.deleteDeadLetter(jobId);
+
+    logger.logOrderProcessing(deadLetter.orderId, 'dead_letter_replayed', {
+      jobId,
+      newJobId
+    });
+
+    return newJobId;
+  }
+
+  /**
+   * Replay every dead-lettered job
+   * @returns {Promise<Array<string>>} The new job IDs
+   */
+  async replayAllDeadLetters() {
+    const newJobIds = [];
+
+    for (const deadLetter of this.listDeadLetters()) {
+      newJobIds.push(await this.replayDeadLetter(deadLetter.id));
+    }
+
+    return newJobIds;
+  }
+
+  /**
+   * Get a single job by ID
+   */
+  getJob(jobId) {
+    return this.store.getJob(jobId);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - Only jobs in this status
+   * @param {string} [filters.orderId] - Only jobs for this order
+   * @param {string} [filters.shopDomain] - Only jobs for this shop
+   * @param {number} [filters.limit] - Maximum number of jobs to return
+   */
+  listJobs(filters = {}) {
+    const { status, orderId, shopDomain, limit } = filters;
+
+    const jobs = this.store.getAllJobs()
+      .filter(job => !status || job.status === status)
+      .filter(job => !orderId || String(job.orderId) === String(orderId))
+      .filter(job => !shopDomain || job.shopDomain === shopDomain)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return limit ? jobs.slice(0, limit) : jobs;
+  }
+
+  /**
+   * Run a failed or backing-off job again right away, granting one more attempt
+   * @returns {Object|null} The updated job, or null if it cannot be retried
+   */
+  retryJob(jobId) {
+    const job = this.store.getJob(jobId);
+    if (!job || !['failed', 'scheduled'].includes(job.status)) {
+      return null;
+    }
+
+    job.status = 'scheduled';
+    job.processAt = new Date();
+    job.maxAttempts = Math.max(job.maxAttempts, job.attempts + 1);
+    this.store.saveJob(job);
+    jobsRetried.inc({ reason: 'admin' });
+
+    logger.logOrderProcessing(job.orderId, 'job_retry_requested', { jobId });
+
+    return job;
+  }
+
+  /**
+   * Cancel a job that has not started yet
+   * @returns {Object|null} The cancelled job, or null if it is not scheduled
+   */
+  cancelJob(jobId, reason = 'cancelled') {
+    const job = this.store.getJob(jobId);
+    if (!job || job.status !== 'scheduled') {
+      return null;
+    }
+
+    job.status = 'cancelled';
+    job.cancelledAt = new Date();
+    job.cancelReason = reason;
+    this.store.saveJob(job);
+    jobsCancelled.inc({ reason });
+
+    logger.logOrderProcessing(job.orderId, 'job_cancelled', { jobId, reason });
+
+    return job;
+  }
+
+  /**
+   * Cancel every job of an order that has not started yet - pending ones and
+   * ones backing off before a retry (both are `scheduled`)
+   * @returns {Array<Object>} The cancelled jobs
+   */
+  cancelOrderJobs(orderId, reason, shopDomain) {
+    return this.listJobs({ status: 'scheduled', orderId, shopDomain })
+      .map(job => this.cancelJob(job.id, reason));
+  }
+
+  /**
+   * Check that the job store is reachable
+   * @returns {{ ok: boolean, error?: string }}
+   */
+  checkStore() {
+    try {
+      this.store.checkHealth();
+      this.store.getAllJobs();
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: error.message };
     }
   }
 
@@ -136,16 +470,19 @@ class JobQueue {
    * Get job statistics
    */
   getStats() {
+    const jobs = this.store.getAllJobs();
     const stats = {
-      total: this.jobs.size,
+      total: jobs.length,
       scheduled: 0,
       processing: 0,
       completed: 0,
       failed: 0,
-      processedOrders: this.processedOrders.size
+      cancelled: 0,
+      deadLettered: this.store.getAllDeadLetters().length,
+      processedOrders: this.store.countProcessedOrders()
     };
 
-    for (const job of this.jobs.values()) {
+    for (const job of jobs) {
       stats[job.status] = (stats[job.status] || 0) + 1;
     }
 
@@ -153,18 +490,18 @@ class JobQueue {
   }
 
   /**
-   * Clean up old completed/failed jobs
+   * Clean up old completed/failed/cancelled jobs
    */
   cleanup() {
     const cutoffDate = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours ago
     let cleanedCount = 0;
 
-    for (const [jobId, job] of this.jobs.entries()) {
+    for (const job of this.store.getAllJobs()) {
       if (
-        (job.status === 'completed' || job.status === 'failed') &&
-        (job.completedAt || job.failedAt) < cutoffDate
+        ['completed', 'failed', 'cancelled'].includes(job.status) &&
+        (job.completedAt || job.failedAt || job.cancelledAt) < cutoffDate
       ) {
-        this.jobs.delete(jobId);
+        this.store.deleteJob(job.id);
         cleanedCount++;
       }
     }
@@ -177,4 +514,5 @@ class JobQueue {
   }
 }
 
-module.exports = new JobQueue(); 
\ No newline at end of file
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
@@ -0,0 +1,219 @@
+const config = require('../config/config');
+const metrics = require('../utils/metrics');
+const auditTrail = require('./auditTrail');
+const { createTransports } = require('../transports');
+
+const notificationsSent = metrics.counter('notifications_sent_total', 'Notifications delivered by transport and type', ['transport', 'type']);
+const notificationsSuppressed = metrics.counter('notifications_suppressed_total', 'Alerts held back by throttling', ['type']);
+const notificationFailures = metrics.counter('notification_failures_total', 'Notification deliveries that failed', ['transport']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders listed by name in the digest; the rest are only counted
+const DIGEST_ORDER_LIMIT = 25;
+
+/**
+ * Chat and email notifications: alerts for dead-lettered jobs, rejected
+ * fulfillment order moves and Shopify auth failures, plus an optional daily
+ * digest. Alerts of the same kind for the same shop are throttled so an outage
+ * produces one message per window instead of one per order. Throttles live in
+ * memory only, so they reset when the process restarts (and per script run).
+ */
+class Notifier {
+  /**
+   * @param {Array} [transports] - Objects with `name` and `async send(notification)`
+   * @param {Object} [options]
+   * @param {number} [options.throttleMinutes]
+   * @param {Object} [options.audit] - Audit trail the digest is built from
+   * @param {Function} [options.now] - Clock, for tests
+   * @param {Function} [options.onError] - Called with (error, context) when a transport fails
+   */
+  constructor(transports = createTransports(config.notifications), options = {}) {
+    this.transports = transports;
+    this.audit = options.audit || auditTrail;
+    this.throttleMs = (options.throttleMinutes ?? config.notifications.throttleMinutes) * 60 * 1000;
+    this.now = options.now || (() => Date.now());
+    this.onError = options.onError ||
+      ((error, context) => console.error(`Notification via ${context.transport} failed: ${error.message}`));
+    // `${type}:${shopDomain}` -> { lastSentAt, suppressed }
+    this.throttles = new Map();
+    this.pending = new Set();
+  }
+
+  get enabled() {
+    return this.transports.length > 0;
+  }
+
+  /**
+   * A job exhausted its attempts and was moved to the dead-letter store
+   */
+  alertDeadLetter(job) {
+    return this.alert('dead_letter', job.shopDomain, {
+      title: `Consolidation of order ${job.orderNumber || job.orderId} gave up`,
+      text: `The job failed ${job.attempts} time(s) and was moved to the dead-letter store. ` +
+        'Replay it with POST /admin/dead-letters/:jobId/replay once the cause is fixed.',
+      fields: {
+        Order: job.orderNumber ? `#${String(job.orderNumber).replace(/^#/, '')} (${job.orderId})` : job.orderId,
+        Job: job.id,
+        'Last error': job.error
+      }
+    });
+  }
+
+  /**
+   * Shopify rejected a fulfillment order move with userErrors
+   */
+  alertMoveFailed({ shopDomain, orderId, orderName, fulfillmentOrderId, toLocationId, userErrors }) {
+    return this.alert('move_failed', shopDomain, {
+      title: `Fulfillment order move rejected for order ${orderName || orderId}`,
+      text: 'Shopify refused to move a fulfillment order; the order stays split until it is moved by hand or retried.',
+      fields: {
+        'Fulfillment order': fulfillmentOrderId,
+        'Target location': toLocationId,
+        Errors: (userErrors || [])
+          .map(userError => (userError.field ? `${[].concat(userError.field).join('.')}: ${userError.message}` : userError.message))
+          .join('; ')
+      }
+    });
+  }
+
+  /**
+   * The Admin API rejected the access token (HTTP 401/403 or ACCESS_DENIED)
+   */
+  alertAuthFailure({ shopDomain, status, message }) {
+    return this.alert('auth_failure', shopDomain, {
+      title: `Shopify rejected the credentials for ${shopDomain}`,
+      text: 'Consolidation is stopped for this shop until the access token or its scopes are fixed (reinstall the app or rotate the token).',
+      fields: {
+        Status: status,
+        Error: message
+      }
+    });
+  }
+
+  /**
+   * Send an alert unless one of the same type for the same shop went out within
+   * the throttle window; held-back alerts are counted into the next one sent
+   * @returns {Promise<boolean>} Whether at least one transport delivered it
+   */
+  alert(type, shopDomain, notification) {
+    if (!this.enabled) return Promise.resolve(false);
+
+    const key = `${type}:${shopDomain || ''}`;
+    const now = this.now();
+    const throttle = this.throttles.get(key);
+
+    if (throttle && now - throttle.lastSentAt < this.throttleMs) {
+      throttle.suppressed++;
+      notificationsSuppressed.inc({ type });
+      return Promise.resolve(false);
+    }
+
+    this.throttles.set(key, { lastSentAt: now, suppressed: 0 });
+
+    return this.send({
+      type,
+      severity: 'alert',
+      shopDomain,
+      suppressed: throttle ? throttle.suppressed : 0,
+      ...notification
+    });
+  }
+
+  /**
+   * Summary of the moves recorded in the last 24 hours
+   * @returns {Object} The digest notification
+   */
+  buildDailyDigest() {
+    const to = new Date(this.now());
+    const from = new Date(to.getTime() - DAY_MS);
+    const moves = this.audit.search({ action: 'move', from, to }).reverse();
+
+    const consolidated = new Map();
+    const failedOrders = new Set();
+    const byShop = {};
+    let fulfillmentOrdersMoved = 0;
+    let failedMoves = 0;
+
+    moves.forEach(entry => {
+      if (entry.outcome === 'moved' || entry.outcome === 'partially_moved') {
+        fulfillmentOrdersMoved++;
+        if (!consolidated.has(entry.orderId)) {
+          consolidated.set(entry.orderId, entry.orderName || entry.orderId);
+          const shop = entry.shopDomain || 'unknown shop';
+          byShop[shop] = (byShop[shop] || 0) + 1;
+        }
+      } else if (entry.outcome === 'failed') {
+        failedMoves++;
+        failedOrders.add(entry.orderName || entry.orderId);
+      }
+    });
+
+    const names = Array.from(consolidated.values());
+    const listed = names.slice(0, DIGEST_ORDER_LIMIT).join(', ');
+    const fields = {
+      'Orders consolidated': consolidated.size,
+      'Fulfillment orders moved': fulfillmentOrdersMoved,
+      'Failed moves': failedMoves,
+      Orders: names.length > DIGEST_ORDER_LIMIT ? `${listed} and ${names.length - DIGEST_ORDER_LIMIT} more` : listed,
+      'Orders with failed moves': Array.from(failedOrders).join(', ')
+    };
+
+    if (Object.keys(byShop).length > 1) {
+      Object.entries(byShop).forEach(([shop, count]) => {
+        fields[`Consolidated on ${shop}`] = count;
+      });
+    }
+
+    return {
+      type: 'daily_digest',
+      severity: 'info',
+      title: `Daily consolidation digest: ${consolidated.size} order(s) consolidated`,
+      text: `Moves recorded from ${from.toISOString()} to ${to.toISOString()}.`,
+      fields
+    };
+  }
+
+  /**
+   * Send the digest of the last 24 hours (never throttled)
+   */
+  sendDailyDigest() {
+    if (!this.enabled) return Promise.resolve(false);
+    return this.send(this.buildDailyDigest());
+  }
+
+  /**
+   * Deliver a notification through every transport. A failing transport is
+   * reported through onError and does not stop the others.
+   * @returns {Promise<boolean>} Whether at least one transport delivered it
+   */
+  send(notification) {
+    const message = { timestamp: new Date(this.now()).toISOString(), ...notification };
+
+    const delivery = Promise.all(this.transports.map(async transport => {
+      try {
+        await transport.send(message);
+        notificationsSent.inc({ transport: transport.name, type: message.type });
+        return true;
+      } catch (error) {
+        notificationFailures.inc({ transport: transport.name });
+        this.onError(error, { context: 'notification', transport: transport.name, type: message.type });
+        return false;
+      }
+    })).then(results => results.some(Boolean));
+
+    this.pending.add(delivery);
+    delivery.then(() => this.pending.delete(delivery));
+    return delivery;
+  }
+
+  /**
+   * Wait for notifications still being delivered (before a script exits)
+   */
+  async flush() {
+    await Promise.all(Array.from(this.pending));
+  }
+}
+
+module.exports = new Notifier();
+module.exports.Notifier = Notifier;
@@ -1,21 +1,203 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const RoutingEngine = require('./routingEngine');
+const shopifyClient = require('./shopifyClient');
+const auditTrail = require('./auditTrail');
+const notifier = require('./notifier');
+const metrics = require('../utils/metrics');
+const { getLineItems, getMoveSkipReason, isActiveFulfillmentOrder, supportsAction } = require('../utils/fulfillmentOrders');
+
+const fulfillmentOrdersMoved = metrics.counter(
+  'fulfillment_orders_moved_total',
+  'Fulfillment order moves by source location and outcome',
+  ['from_location', 'outcome']
+);
+
+// Page sizes keep the requested cost of ORDER_QUERY well under Shopify's 1000-point limit
+const FULFILLMENT_ORDERS_PAGE_SIZE = 10;
+const LINE_ITEMS_PAGE_SIZE = 25;
+const ORDER_LINE_ITEMS_PAGE_SIZE = 50;
+
+const PAGE_INFO = `
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+`;
+
+const ORDER_LINE_ITEM_FIELDS = `
+  id
+  name
+  quantity
+  sku
+  vendor
+`;
+
+const FULFILLMENT_ORDER_LINE_ITEM_FIELDS = `
+  id
+  quantity: totalQuantity
+  remainingQuantity
+  sku
+  inventoryItemId
+  lineItem {
+    id
+    name
+    quantity
+  }
+`;
+
+const FULFILLMENT_ORDER_FIELDS = `
+  id
+  status
+  supportedActions {
+    action
+  }
+  assignedLocation {
+    location {
+      id
+      name
+    }
+  }
+  lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) {
+    ${PAGE_INFO}
+    nodes {
+      ${FULFILLMENT_ORDER_LINE_ITEM_FIELDS}
+    }
+  }
+`;
+
+const MOVE_RESULT_FIELDS = `
+  id
+  status
+  assignedLocation {
+    location {
+      id
+      name
+    }
+  }
+`;
+
+const ORDER_QUERY = `
+  query getOrderWithFulfillmentOrders($id: ID!) {
+    order(id: $id) {
+      id
+      name
+      createdAt
+      cancelledAt
+      displayFinancialStatus
+      displayFulfillmentStatus
+      tags
+      shippingAddress {
+        countryCode
+        provinceCode
+      }
+      channelInformation {
+        channelDefinition {
+          handle
+        }
+      }
+      fulfillmentOrders(first: ${FULFILLMENT_ORDERS_PAGE_SIZE}) {
+        ${PAGE_INFO}
+        nodes {
+          ${FULFILLMENT_ORDER_FIELDS}
+        }
+      }
+      lineItems(first: ${ORDER_LINE_ITEMS_PAGE_SIZE}) {
+        ${PAGE_INFO}
+        nodes {
+          ${ORDER_LINE_ITEM_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
+const ORDER_LINE_ITEMS_QUERY = `
+  query getOrderLineItems($id: ID!, $after: String) {
+    order(id: $id) {
+      lineItems(first: ${ORDER_LINE_ITEMS_PAGE_SIZE}, after: $after) {
+        ${PAGE_INFO}
+        nodes {
+          ${ORDER_LINE_ITEM_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
+const FULFILLMENT_ORDERS_QUERY = `
+  query getOrderFulfillmentOrders($id: ID!, $after: String) {
+    order(id: $id) {
+      fulfillmentOrders(first: ${FULFILLMENT_ORDERS_PAGE_SIZE}, after: $after) {
+        ${PAGE_INFO}
+        nodes {
+          ${FULFILLMENT_ORDER_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
+const FULFILLMENT_ORDER_QUERY = `
+  query getFulfillmentOrder($id: ID!) {
+    fulfillmentOrder(id: $id) {
+      ${FULFILLMENT_ORDER_FIELDS}
+    }
+  }
+`;
+
+// Just enough to tell whether the order changed under a running job
+const ORDER_STATE_QUERY = `
+  query getOrderState($id: ID!, $fulfillmentOrderIds: [ID!]!) {
+    order(id: $id) {
+      id
+      cancelledAt
+      displayFulfillmentStatus
+    }
+    fulfillmentOrders: nodes(ids: $fulfillmentOrderIds) {
+      ... on FulfillmentOrder {
+        id
+        status
+      }
+    }
+  }
+`;
+
+const FULFILLMENT_ORDER_LINE_ITEMS_QUERY = `
+  query getFulfillmentOrderLineItems($id: ID!, $after: String) {
+    fulfillmentOrder(id: $id) {
+      lineItems(first: ${LINE_ITEMS_PAGE_SIZE}, after: $after) {
+        ${PAGE_INFO}
+        nodes {
+          ${FULFILLMENT_ORDER_LINE_ITEM_FIELDS}
+        }
+      }
+    }
+  }
+`;
 
 class OrderService {
-  constructor() {
-    this.baseURL = `https://${config.shopify.shopDomain}/admin/api/2023-10/graphql.json`;
-    this.headers = {
-      'X-Shopify-Access-Token': config.shopify.accessToken,
-      'Content-Type': 'application/json',
-    };
+  constructor(routingEngine = new RoutingEngine(), client = shopifyClient, audit = auditTrail, notify = notifier) {
+    this.routingEngine = routingEngine;
+    this.client = client;
+    this.audit = audit;
+    this.notifier = notify;
   }
 
   /**
    * Main method to process order location consolidation (1 minute after order creation)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Build the consolidation plan without moving anything
+   * @param {string} [options.trigger] - What started the run (webhook, admin, script, ...), for the audit trail
+   * @param {string} [options.jobId] - Job that started the run, for the audit trail
+   * @param {string} [options.previousFingerprint] - Fingerprint from the last evaluation; when
+   *   it still matches, the order is left alone
    */
-  async processOrderLocationConsolidation(orderId) {
-    logger.logOrderProcessing(orderId, 'consolidation_started');
+  async processOrderLocationConsolidation(orderId, options = {}) {
+    const dryRun = options.dryRun ?? config.processing.dryRun;
+
+    logger.logOrderProcessing(orderId, 'consolidation_started', { dryRun });
 
     try {
       // 1. Fetch order with fulfillment orders (assigned locations)
@@ -25,64 +207,29 @@ class OrderService {
         throw new Error(`Order ${orderId} not found`);
       }
 
-      const { order, fulfillmentOrders } = orderData;
+      // Re-evaluations (order updates/edits) stop here when nothing relevant changed
+      const fulfillmentOrderFingerprint = this.getOrderFingerprint(orderData.order, orderData.fulfillmentOrders);
 
-      // 2. Analyze assigned locations in fulfillment orders
-      const locationAnalysis = this.analyzeFulfillmentOrderLocations(fulfillmentOrders);
-      
-      logger.logOrderProcessing(orderId, 'location_analysis', {
-        uniqueLocations: locationAnalysis.uniqueLocations.length,
-        totalFulfillmentOrders: fulfillmentOrders.length,
-        needsConsolidation: locationAnalysis.needsConsolidation
-      });
+      if (options.previousFingerprint && options.previousFingerprint === fulfillmentOrderFingerprint) {
+        logger.logOrderProcessing(orderId, 'unchanged_since_last_evaluation');
 
-      // 3. If all items are assigned to the same location, do nothing
-      if (!locationAnalysis.needsConsolidation) {
-        const sameLocationName = locationAnalysis.allAssignedToUSA ? 'USA' : 'same location';
-        
-        logger.logOrderProcessing(orderId, 'no_consolidation_needed', {
-          reason: 'all_items_assigned_to_same_location',
-          location: locationAnalysis.uniqueLocations[0],
-          isUSALocation: locationAnalysis.allAssignedToUSA
-        });
-        
         return {
           success: true,
           action: 'no_change_needed',
-          reason: `All line items already assigned to ${sameLocationName} - no split shipment needed`
+          reason: 'Fulfillment orders and routing inputs unchanged since the last evaluation',
+          fulfillmentOrderFingerprint
         };
       }
 
-      // 4. Check inventory availability at USA location (optional)
-      const inventoryCheck = await this.checkInventoryAvailability(fulfillmentOrders);
-      
-      if (!inventoryCheck.allAvailable) {
-        logger.logOrderProcessing(orderId, 'insufficient_inventory', {
-          unavailableItems: inventoryCheck.unavailableItems
-        });
-        
-        // You can decide whether to proceed or abort here
-        // For now, we'll log the warning but proceed
-      }
+      const result = await this.consolidateOrder(orderId, orderData, { ...options, dryRun });
 
-      // 5. Consolidate fulfillment orders to USA location
-      const consolidationResult = await this.consolidateFulfillmentOrdersToUSA(order, fulfillmentOrders);
+      // Our own moves change the fulfillment orders; store the state they left so
+      // the webhooks they trigger match it instead of causing another evaluation
+      if (result.action === 'consolidated' && result.movedFulfillmentOrders > 0) {
+        return { ...result, fulfillmentOrderFingerprint: await this.fetchCurrentFingerprint(orderId) };
+      }
 
-      logger.logLocationChange(
-        orderId,
-        fulfillmentOrders,
-        locationAnalysis.uniqueLocations,
-        config.locations.usaLocationId
-      );
-
-      return {
-        success: true,
-        action: 'consolidated',
-        originalLocations: locationAnalysis.uniqueLocations,
-        newLocation: config.locations.usaLocationId,
-        fulfillmentOrdersProcessed: fulfillmentOrders.length,
-        ...consolidationResult
-      };
+      return { ...result, fulfillmentOrderFingerprint };
 
     } catch (error) {
       logger.logError(error, {
@@ -94,76 +241,286 @@ class OrderService {
   }
 
   /**
-   * Fetch order data with fulfillment orders (assigned locations)
+   * Route, analyze and consolidate an already fetched order (steps 2-9 of
+   * processOrderLocationConsolidation)
+   * @param {Object} options - As for processOrderLocationConsolidation, with dryRun resolved
    */
-  async fetchOrderWithFulfillmentOrders(orderId) {
-    const query = `
-      query getOrderWithFulfillmentOrders($id: ID!) {
-        order(id: $id) {
-          id
-          name
-          displayFinancialStatus
-          displayFulfillmentStatus
-          fulfillmentOrders(first: 100) {
-            edges {
-              node {
-                id
-                status
-                assignedLocation {
-                  id
-                  name
-                }
-                lineItems(first: 100) {
-                  edges {
-                    node {
-                      id
-                      quantity
-                      lineItem {
-                        id
-                        name
-                        quantity
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-          lineItems(first: 100) {
-            edges {
-              node {
-                id
-                name
-                quantity
-              }
-            }
-          }
+  async consolidateOrder(orderId, orderData, options) {
+    const { dryRun } = options;
+    const { order, fulfillmentOrders } = orderData;
+
+    // 2. Pick the consolidation target from the routing rules
+    const target = this.routingEngine.selectTarget(order);
+
+    if (!target) {
+      logger.logOrderProcessing(orderId, 'no_routing_rule_matched');
+
+      return {
+        success: true,
+        action: 'no_change_needed',
+        reason: 'No routing rule matched this order'
+      };
+    }
+
+    // 3. Analyze assigned locations of fulfillment orders that still have work left
+    const activeFulfillmentOrders = fulfillmentOrders.filter(isActiveFulfillmentOrder);
+    const locationAnalysis = this.analyzeFulfillmentOrderLocations(activeFulfillmentOrders, target.locationId);
+    
+    logger.logOrderProcessing(orderId, 'location_analysis', {
+      uniqueLocations: locationAnalysis.uniqueLocations.length,
+      totalFulfillmentOrders: fulfillmentOrders.length,
+      activeFulfillmentOrders: activeFulfillmentOrders.length,
+      needsConsolidation: locationAnalysis.needsConsolidation,
+      routingRule: target.rule,
+      targetLocation: target.locationId
+    });
+
+    // 4. If all items are assigned to the same location, do nothing
+    if (!locationAnalysis.needsConsolidation) {
+      const sameLocationName = locationAnalysis.allAssignedToTarget ? 'the target location' : 'same location';
+      
+      logger.logOrderProcessing(orderId, 'no_consolidation_needed', {
+        reason: 'all_items_assigned_to_same_location',
+        location: locationAnalysis.uniqueLocations[0],
+        isTargetLocation: locationAnalysis.allAssignedToTarget
+      });
+      
+      return {
+        success: true,
+        action: 'no_change_needed',
+        reason: `All line items already assigned to ${sameLocationName} - no split shipment needed`,
+        routingRule: target.rule,
+        targetLocation: target.locationId
+      };
+    }
+
+    // 5. Only fulfillment orders whose status and supported actions allow it can move
+    const { movable, skipped: skippedFulfillmentOrders } = this.classifyFulfillmentOrders(fulfillmentOrders, target.locationId);
+
+    if (skippedFulfillmentOrders.length > 0) {
+      logger.logOrderProcessing(orderId, 'fulfillment_orders_skipped', {
+        skippedFulfillmentOrders
+      });
+    }
+
+    if (movable.length === 0) {
+      return {
+        success: true,
+        action: 'no_change_needed',
+        reason: 'No fulfillment order outside the target location can be moved',
+        routingRule: target.rule,
+        targetLocation: target.locationId,
+        skippedFulfillmentOrders,
+        dryRun
+      };
+    }
+
+    // 6. Check inventory availability at the target location
+    const inventoryPolicy = config.inventory.policy;
+    const inventoryCheck = await this.checkInventoryAvailability(movable, target.locationId);
+    let fulfillmentOrdersToConsolidate = movable;
+    let partialLineItems = {};
+    
+    if (!inventoryCheck.allAvailable) {
+      logger.logOrderProcessing(orderId, 'insufficient_inventory', {
+        unavailableItems: inventoryCheck.unavailableItems,
+        policy: inventoryPolicy
+      });
+      
+      const insufficientInventory = reason => ({
+        success: true,
+        action: 'insufficient_inventory',
+        reason,
+        routingRule: target.rule,
+        targetLocation: target.locationId,
+        inventoryPolicy,
+        unavailableItems: inventoryCheck.unavailableItems,
+        skippedFulfillmentOrders,
+        dryRun
+      });
+
+      if (inventoryPolicy === 'abort') {
+        return insufficientInventory('Target location cannot stock every line item - consolidation aborted');
+      }
+      
+      if (inventoryPolicy === 'partial') {
+        // Move fully stocked fulfillment orders whole and only the stocked lines of the rest
+        partialLineItems = inventoryCheck.partialLineItems;
+        fulfillmentOrdersToConsolidate = movable.filter(fulfillmentOrder =>
+          inventoryCheck.stockedFulfillmentOrderIds.includes(fulfillmentOrder.id) ||
+          partialLineItems[fulfillmentOrder.id]
+        );
+
+        if (fulfillmentOrdersToConsolidate.length === 0) {
+          return insufficientInventory('Target location stocks none of the line items - nothing to move');
         }
       }
-    `;
+    }
+
+    // 7. In dry-run mode, report what would be moved and stop before any mutation
+    if (dryRun) {
+      const plan = this.planConsolidation(fulfillmentOrdersToConsolidate, target, partialLineItems);
+      const skipped = [
+        ...skippedFulfillmentOrders,
+        ...movable
+          .filter(fulfillmentOrder => !fulfillmentOrdersToConsolidate.includes(fulfillmentOrder))
+          .map(fulfillmentOrder => ({
+            fulfillmentOrderId: fulfillmentOrder.id,
+            fromLocationId: this.getAssignedLocationId(fulfillmentOrder),
+            reason: `Insufficient inventory at location ${target.locationId} (policy: ${inventoryPolicy})`
+          }))
+      ];
+
+      logger.logOrderProcessing(orderId, 'dry_run_plan', {
+        moves: plan.length,
+        skipped: skipped.length,
+        routingRule: target.rule
+      });
+
+      return {
+        success: true,
+        action: 'dry_run',
+        dryRun: true,
+        originalLocations: locationAnalysis.uniqueLocations,
+        newLocation: target.locationId,
+        routingRule: target.rule,
+        inventoryPolicy,
+        unavailableItems: inventoryCheck.unavailableItems,
+        plan: {
+          moves: plan,
+          skipped
+        }
+      };
+    }
+
+    // 8. Re-check the order: it may have been cancelled or fulfilled since it was fetched
+    const supersededReason = await this.getSupersededReason(orderId, fulfillmentOrdersToConsolidate);
+
+    if (supersededReason) {
+      logger.logOrderProcessing(orderId, 'consolidation_superseded', { reason: supersededReason });
+      this.recordSupersededAudit(order, target, fulfillmentOrdersToConsolidate, supersededReason, options);
+
+      return {
+        success: true,
+        action: 'superseded',
+        reason: supersededReason,
+        routingRule: target.rule,
+        targetLocation: target.locationId,
+        dryRun
+      };
+    }
+
+    // 9. Consolidate fulfillment orders to the target location
+    const consolidationResult = await this.consolidateFulfillmentOrders(
+      order, fulfillmentOrdersToConsolidate, target, partialLineItems
+    );
+    this.recordMoveAudit(order, target, consolidationResult, options);
+
+    logger.logLocationChange(
+      orderId,
+      fulfillmentOrders,
+      locationAnalysis.uniqueLocations,
+      target.locationId
+    );
+
+    return {
+      success: true,
+      action: 'consolidated',
+      originalLocations: locationAnalysis.uniqueLocations,
+      newLocation: target.locationId,
+      routingRule: target.rule,
+      fulfillmentOrdersProcessed: fulfillmentOrdersToConsolidate.length,
+      inventoryPolicy,
+      unavailableItems: inventoryCheck.unavailableItems,
+      skippedFulfillmentOrders,
+      dryRun,
+      ...consolidationResult
+    };
+  }
+
+  /**
+   * Fingerprint of the order as our own moves (a consolidation or a rollback) left it
+   * @returns {Promise<string|undefined>} undefined if the order could not be re-read,
+   *   so the next update is evaluated again
+   */
+  async fetchCurrentFingerprint(orderId) {
+    try {
+      const orderData = await this.fetchOrderWithFulfillmentOrders(orderId);
+      return orderData ? this.getOrderFingerprint(orderData.order, orderData.fulfillmentOrders) : undefined;
+    } catch (error) {
+      logger.logError(error, { context: 'current_fingerprint', orderId });
+      return undefined;
+    }
+  }
+
+  /**
+   * Hash of everything a consolidation decision depends on: each fulfillment
+   * order's status, location and remaining line items, plus the routing inputs
+   * (shipping address, tags, line items, channel). Equal fingerprints mean a
+   * re-evaluation would reach the same decision.
+   */
+  getOrderFingerprint(order, fulfillmentOrders) {
+    const state = {
+      shippingAddress: order.shippingAddress || null,
+      tags: [...(order.tags || [])].sort(),
+      channel: order.channelInformation?.channelDefinition?.handle || null,
+      lineItems: getLineItems(order)
+        .map(lineItem => [lineItem.id, lineItem.quantity, lineItem.sku, lineItem.vendor])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0]))),
+      fulfillmentOrders: fulfillmentOrders
+        .map(fulfillmentOrder => [
+          fulfillmentOrder.id,
+          fulfillmentOrder.status,
+          this.getAssignedLocationId(fulfillmentOrder),
+          this.getFulfillmentOrderLineItems(fulfillmentOrder)
+            .map(lineItem => [lineItem.id, lineItem.remainingQuantity ?? lineItem.quantity])
+            .sort((a, b) => String(a[0]).localeCompare(String(b[0])))
+        ])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0])))
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(state)).digest('hex');
+  }
 
+  /**
+   * Fetch order data with fulfillment orders (assigned locations).
+   * Every connection is paged through in full so large orders are never truncated.
+   */
+  async fetchOrderWithFulfillmentOrders(orderId) {
     const variables = {
       id: `gid://shopify/Order/${orderId}`
     };
 
     try {
-      const response = await axios.post(this.baseURL, {
-        query,
-        variables
-      }, { headers: this.headers });
+      const data = await this.client.query(ORDER_QUERY, variables);
 
-      if (response.data.errors) {
-        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
-      }
-
-      const order = response.data.data.order;
+      const order = data.order;
       
       if (!order) {
         return null;
       }
 
+      order.lineItems = {
+        nodes: await this.client.completeConnection(order.lineItems, ORDER_LINE_ITEMS_QUERY, variables, 'order.lineItems')
+      };
+
       // Extract fulfillment orders with their assigned locations
-      const fulfillmentOrders = order.fulfillmentOrders.edges.map(edge => edge.node);
+      const fulfillmentOrders = await this.client.completeConnection(
+        order.fulfillmentOrders, FULFILLMENT_ORDERS_QUERY, variables, 'order.fulfillmentOrders'
+      );
+
+      for (const fulfillmentOrder of fulfillmentOrders) {
+        fulfillmentOrder.lineItems = {
+          nodes: await this.client.completeConnection(
+            fulfillmentOrder.lineItems,
+            FULFILLMENT_ORDER_LINE_ITEMS_QUERY,
+            { id: fulfillmentOrder.id },
+            'fulfillmentOrder.lineItems'
+          )
+        };
+      }
+
+      order.fulfillmentOrders = { nodes: fulfillmentOrders };
 
       return {
         order,
@@ -179,85 +536,420 @@ class OrderService {
     }
   }
 
+  /**
+   * Fetch the order's current state right before mutating it
+   * @returns {Promise<string|null>} Why the planned moves no longer apply, or null
+   */
+  async getSupersededReason(orderId, fulfillmentOrders) {
+    const data = await this.client.query(ORDER_STATE_QUERY, {
+      id: `gid://shopify/Order/${orderId}`,
+      fulfillmentOrderIds: fulfillmentOrders.map(fulfillmentOrder => fulfillmentOrder.id)
+    });
+
+    if (!data.order) {
+      return 'Order no longer exists';
+    }
+    if (data.order.cancelledAt) {
+      return 'Order was cancelled';
+    }
+    if (data.order.displayFulfillmentStatus === 'FULFILLED') {
+      return 'Order was fulfilled';
+    }
+
+    const current = new Map((data.fulfillmentOrders || [])
+      .filter(Boolean)
+      .map(fulfillmentOrder => [fulfillmentOrder.id, fulfillmentOrder.status]));
+
+    for (const fulfillmentOrder of fulfillmentOrders) {
+      const status = current.get(fulfillmentOrder.id);
+      if (status !== fulfillmentOrder.status) {
+        return status
+          ? `Fulfillment order ${fulfillmentOrder.id} is now ${status.toLowerCase()}`
+          : `Fulfillment order ${fulfillmentOrder.id} no longer exists`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch a single fulfillment order with its status, supported actions,
+   * assigned location and every line item
+   * @returns {Promise<Object|null>} null if it does not exist
+   */
+  async fetchFulfillmentOrder(fulfillmentOrderId) {
+    const data = await this.client.query(FULFILLMENT_ORDER_QUERY, { id: fulfillmentOrderId });
+    const fulfillmentOrder = data.fulfillmentOrder;
+
+    if (!fulfillmentOrder) {
+      return null;
+    }
+
+    fulfillmentOrder.lineItems = {
+      nodes: await this.client.completeConnection(
+        fulfillmentOrder.lineItems,
+        FULFILLMENT_ORDER_LINE_ITEMS_QUERY,
+        { id: fulfillmentOrder.id },
+        'fulfillmentOrder.lineItems'
+      )
+    };
+
+    return fulfillmentOrder;
+  }
+
+  /**
+   * Look up an order's numeric ID by its name (e.g. "#1001" or "1001")
+   * @returns {Promise<string|null>} null if no order has that name
+   */
+  async findOrderIdByName(orderName) {
+    const query = `
+      query findOrderByName($query: String!) {
+        orders(first: 5, query: $query) {
+          edges {
+            node {
+              id
+              name
+            }
+          }
+        }
+      }
+    `;
+
+    const name = String(orderName).trim();
+    const variables = { query: `name:${JSON.stringify(name)}` };
+
+    const data = await this.client.query(query, variables);
+
+    // The search is fuzzy - only accept an exact name match
+    const node = data.orders.edges
+      .map(edge => edge.node)
+      .find(candidate => candidate.name === name || candidate.name === `#${name}`);
+
+    return node ? node.id.split('/').pop() : null;
+  }
+
   /**
    * Analyze fulfillment order locations to determine if consolidation is needed
    */
-  analyzeFulfillmentOrderLocations(fulfillmentOrders) {
+  analyzeFulfillmentOrderLocations(fulfillmentOrders, targetLocationId) {
     const locationIds = new Set();
     
     fulfillmentOrders.forEach(fulfillmentOrder => {
-      if (fulfillmentOrder.assignedLocation?.id) {
-        // Extract the location ID from the GraphQL ID
-        const locationId = fulfillmentOrder.assignedLocation.id.split('/').pop();
+      // Extract the location ID from the GraphQL ID
+      const locationId = this.getAssignedLocationId(fulfillmentOrder);
+      if (locationId) {
         locationIds.add(locationId);
       }
     });
 
     const uniqueLocations = Array.from(locationIds);
-    const usaLocationId = config.locations.usaLocationId;
     
     // CORRECTED LOGIC: Only consolidate if items are in MIXED locations
-    // If all items are in the same location (even if not USA), no action needed
+    // If all items are in the same location (even if not the target), no action needed
     const needsConsolidation = uniqueLocations.length > 1;
 
     return {
       uniqueLocations,
       needsConsolidation,
-      allAssignedToUSA: uniqueLocations.length === 1 && uniqueLocations[0] === usaLocationId,
+      allAssignedToTarget: uniqueLocations.length === 1 && uniqueLocations[0] === targetLocationId,
       allAssignedToSameLocation: uniqueLocations.length === 1
     };
   }
 
   /**
-   * Check inventory availability at USA location
+   * Check inventory availability at the target location for every line item
+   * that would have to move there. Stock is allocated to fulfillment orders and
+   * their line items in order: `stockedFulfillmentOrderIds` lists the ones that
+   * can move in full, `partialLineItems` the stocked lines/quantities of the
+   * ones that can only move in part.
    */
-  async checkInventoryAvailability(fulfillmentOrders) {
-    // This is optional - implement based on your needs
-    // For now, we'll assume inventory is available
-    
+  async checkInventoryAvailability(fulfillmentOrders, targetLocationId) {
     const unavailableItems = [];
-    
-    // TODO: Implement actual inventory check using GraphQL
-    // Query inventory levels for each variant at the USA location
-    
+    const stockedFulfillmentOrderIds = [];
+    const partialLineItems = {};
+
+    const fulfillmentOrdersToMove = fulfillmentOrders.filter(fulfillmentOrder =>
+      this.getAssignedLocationId(fulfillmentOrder) !== targetLocationId
+    );
+
+    const inventoryItemIds = new Set();
+    fulfillmentOrdersToMove.forEach(fulfillmentOrder => {
+      this.getFulfillmentOrderLineItems(fulfillmentOrder).forEach(lineItem => {
+        if (lineItem.inventoryItemId) {
+          inventoryItemIds.add(lineItem.inventoryItemId);
+        }
+      });
+    });
+
+    const available = await this.fetchAvailableQuantities(Array.from(inventoryItemIds), targetLocationId);
+
+    for (const fulfillmentOrder of fulfillmentOrdersToMove) {
+      const shortages = [];
+      const stockedLineItems = [];
+
+      this.getFulfillmentOrderLineItems(fulfillmentOrder).forEach(lineItem => {
+        const required = lineItem.remainingQuantity ?? lineItem.quantity;
+        if (!required) return;
+
+        // Untracked items (no inventory item) can always be fulfilled
+        if (!lineItem.inventoryItemId) {
+          stockedLineItems.push({ id: lineItem.id, quantity: required });
+          return;
+        }
+
+        // Reserve the stock so later line items and fulfillment orders see what is left
+        const onHand = available.get(lineItem.inventoryItemId) || 0;
+        const allocated = Math.max(0, Math.min(required, onHand));
+        available.set(lineItem.inventoryItemId, onHand - allocated);
+
+        if (allocated > 0) {
+          stockedLineItems.push({ id: lineItem.id, quantity: allocated });
+        }
+
+        if (allocated < required) {
+          shortages.push({
+            fulfillmentOrderId: fulfillmentOrder.id,
+            fulfillmentOrderLineItemId: lineItem.id,
+            inventoryItemId: lineItem.inventoryItemId,
+            sku: lineItem.sku,
+            required,
+            available: Math.max(0, onHand)
+          });
+        }
+      });
+
+      if (shortages.length === 0) {
+        stockedFulfillmentOrderIds.push(fulfillmentOrder.id);
+      } else {
+        unavailableItems.push(...shortages);
+        if (stockedLineItems.length > 0) {
+          partialLineItems[fulfillmentOrder.id] = stockedLineItems;
+        }
+      }
+    }
+
     return {
       allAvailable: unavailableItems.length === 0,
-      unavailableItems
+      unavailableItems,
+      stockedFulfillmentOrderIds,
+      partialLineItems
     };
   }
 
   /**
-   * Consolidate fulfillment orders to USA location
+   * Fetch `available` quantities for inventory items at a location
+   * @returns {Promise<Map<string, number>>} inventory item GID -> available quantity
    */
-  async consolidateFulfillmentOrdersToUSA(order, fulfillmentOrders) {
-    const usaLocationId = config.locations.usaLocationId;
-    
+  async fetchAvailableQuantities(inventoryItemIds, locationId) {
+    const query = `
+      query getInventoryLevels($ids: [ID!]!, $locationId: ID!) {
+        nodes(ids: $ids) {
+          ... on InventoryItem {
+            id
+            tracked
+            inventoryLevel(locationId: $locationId) {
+              quantities(names: ["available"]) {
+                name
+                quantity
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const available = new Map();
+    const batchSize = 100;
+
+    for (let i = 0; i < inventoryItemIds.length; i += batchSize) {
+      const variables = {
+        ids: inventoryItemIds.slice(i, i + batchSize),
+        locationId: `gid://shopify/Location/${locationId}`
+      };
+
+      const data = await this.client.query(query, variables);
+
+      data.nodes.forEach(item => {
+        if (!item) return;
+
+        // Shopify does not enforce stock for untracked items
+        if (item.tracked === false) {
+          available.set(item.id, Infinity);
+          return;
+        }
+
+        const quantity = item.inventoryLevel?.quantities
+          ?.find(entry => entry.name === 'available')?.quantity;
+        available.set(item.id, quantity || 0);
+      });
+    }
+
+    return available;
+  }
+
+  /**
+   * Flatten the line item connection of a fulfillment order
+   */
+  getFulfillmentOrderLineItems(fulfillmentOrder) {
+    return getLineItems(fulfillmentOrder);
+  }
+
+  /**
+   * Split the fulfillment orders outside the target location into those that
+   * can be moved and those that cannot (closed, on hold, in progress, partly
+   * fulfilled or without the MOVE action), with the reason for each skip
+   */
+  classifyFulfillmentOrders(fulfillmentOrders, targetLocationId) {
+    const movable = [];
+    const skipped = [];
+
+    fulfillmentOrders
+      .filter(fulfillmentOrder => this.getAssignedLocationId(fulfillmentOrder) !== targetLocationId)
+      .forEach(fulfillmentOrder => {
+        const reason = getMoveSkipReason(fulfillmentOrder);
+
+        if (reason) {
+          skipped.push({
+            fulfillmentOrderId: fulfillmentOrder.id,
+            status: fulfillmentOrder.status,
+            fromLocationId: this.getAssignedLocationId(fulfillmentOrder),
+            reason
+          });
+        } else {
+          movable.push(fulfillmentOrder);
+        }
+      });
+
+    return { movable, skipped };
+  }
+
+  /**
+   * Numeric ID of the location a fulfillment order is assigned to
+   */
+  getAssignedLocationId(fulfillmentOrder) {
+    return fulfillmentOrder.assignedLocation?.location?.id?.split('/').pop();
+  }
+
+  /**
+   * Build the list of fulfillment order moves needed to consolidate at the target
+   * @param {Object} [partialLineItems] - Fulfillment order ID -> [{ id, quantity }] to move
+   *   instead of the whole fulfillment order
+   */
+  planConsolidation(fulfillmentOrders, target, partialLineItems = {}) {
+    return fulfillmentOrders
+      .filter(fulfillmentOrder => this.getAssignedLocationId(fulfillmentOrder) !== target.locationId)
+      .map(fulfillmentOrder => {
+        const fromLocationId = this.getAssignedLocationId(fulfillmentOrder);
+        const move = {
+          fulfillmentOrderId: fulfillmentOrder.id,
+          fromLocationId,
+          fromLocationName: fulfillmentOrder.assignedLocation?.location?.name,
+          toLocationId: target.locationId,
+          reason: `Assigned to location ${fromLocationId}, routing rule "${target.rule}" targets ${target.locationId}`
+        };
+
+        const lineItems = partialLineItems[fulfillmentOrder.id];
+        if (lineItems) {
+          move.lineItems = lineItems;
+          move.lineItemsLeftBehind = this.getLineItemsLeftBehind(fulfillmentOrder, lineItems);
+          move.reason += ` (partial move: only stocked line items)`;
+        }
+
+        return move;
+      });
+  }
+
+  /**
+   * Line items (and quantities) of a fulfillment order that a partial move leaves in place
+   */
+  getLineItemsLeftBehind(fulfillmentOrder, movedLineItems) {
+    const movedQuantities = new Map(movedLineItems.map(lineItem => [lineItem.id, lineItem.quantity]));
+
+    return this.getFulfillmentOrderLineItems(fulfillmentOrder)
+      .map(lineItem => ({
+        fulfillmentOrderLineItemId: lineItem.id,
+        sku: lineItem.sku,
+        quantity: (lineItem.remainingQuantity ?? lineItem.quantity) - (movedQuantities.get(lineItem.id) || 0)
+      }))
+      .filter(lineItem => lineItem.quantity > 0);
+  }
+
+  /**
+   * Consolidate fulfillment orders to the target location
+   * @param {Object} target - Routing target ({ rule, locationId })
+   * @param {Object} [partialLineItems] - Fulfillment order ID -> line items to move partially
+   */
+  async consolidateFulfillmentOrders(order, fulfillmentOrders, target, partialLineItems = {}) {
     try {
-      // Step 1: Move all fulfillment orders to USA location
+      // Step 1: Move all fulfillment orders (or their stocked line items) to the target location
       const moveResults = [];
+      const failedMoves = [];
+      const lineItemsLeftBehind = [];
+      const plan = this.planConsolidation(fulfillmentOrders, target, partialLineItems);
       
-      for (const fulfillmentOrder of fulfillmentOrders) {
-        const currentLocationId = fulfillmentOrder.assignedLocation?.id?.split('/').pop();
-        
-        if (currentLocationId !== usaLocationId) {
-          try {
-            const result = await this.moveFulfillmentOrder(fulfillmentOrder.id, usaLocationId);
-            moveResults.push(result);
-          } catch (error) {
-            logger.logError(error, {
-              context: 'move_fulfillment_order',
-              fulfillmentOrderId: fulfillmentOrder.id,
-              fromLocation: currentLocationId,
-              toLocation: usaLocationId
+      for (const move of plan) {
+        try {
+          const result = await this.moveFulfillmentOrder(move.fulfillmentOrderId, target.locationId, move.lineItems);
+          moveResults.push({
+            ...result,
+            fromLocationId: move.fromLocationId,
+            fromLocationName: move.fromLocationName,
+            partial: Boolean(move.lineItems),
+            lineItems: move.lineItems
+          });
+          fulfillmentOrdersMoved.inc({
+            from_location: move.fromLocationId,
+            outcome: move.lineItems ? 'partially_moved' : 'moved'
+          });
+
+          if (move.lineItemsLeftBehind) {
+            lineItemsLeftBehind.push(...move.lineItemsLeftBehind.map(lineItem => ({
+              ...lineItem,
+              fulfillmentOrderId: result.remainingFulfillmentOrder?.id || move.fulfillmentOrderId,
+              locationId: move.fromLocationId
+            })));
+          }
+        } catch (error) {
+          logger.logError(error, {
+            context: 'move_fulfillment_order',
+            fulfillmentOrderId: move.fulfillmentOrderId,
+            fromLocation: move.fromLocationId,
+            toLocation: target.locationId
+          });
+          fulfillmentOrdersMoved.inc({ from_location: move.fromLocationId, outcome: 'failed' });
+          if (error.userErrors) {
+            this.notifier.alertMoveFailed({
+              shopDomain: this.client.shopDomain,
+              orderId: order.id,
+              orderName: order.name,
+              fulfillmentOrderId: move.fulfillmentOrderId,
+              toLocationId: target.locationId,
+              userErrors: error.userErrors
             });
-            // Continue with other fulfillment orders even if one fails
           }
+          failedMoves.push({
+            fulfillmentOrderId: move.fulfillmentOrderId,
+            fromLocationId: move.fromLocationId,
+            fromLocationName: move.fromLocationName,
+            error: error.message
+          });
+          // Continue with other fulfillment orders even if one fails
         }
       }
       
+      // Step 2: Merge fulfillment orders that now share a location into one shipment
+      let merge = null;
+      if (config.processing.mergeFulfillmentOrders && moveResults.length > 0) {
+        merge = await this.mergeFulfillmentOrdersByLocation(order.id.split('/').pop());
+      }
+      
       return {
         movedFulfillmentOrders: moveResults.length,
-        consolidatedToLocation: usaLocationId
+        consolidatedToLocation: target.locationId,
+        moves: moveResults,
+        failedMoves,
+        lineItemsLeftBehind,
+        merge
       };
 
     } catch (error) {
@@ -270,18 +962,207 @@ class OrderService {
   }
 
   /**
-   * Move a fulfillment order to a different location
+   * Write one audit entry per attempted move and per merge. Audit failures are
+   * logged but never fail the consolidation - the moves have already happened.
+   */
+  recordMoveAudit(order, target, consolidationResult, options = {}) {
+    const context = this.getAuditContext(order, target, options);
+
+    try {
+      consolidationResult.moves.forEach(move => {
+        this.audit.recordMove({
+          ...context,
+          fulfillmentOrderId: move.originalFulfillmentOrder?.id || move.fulfillmentOrderId,
+          movedFulfillmentOrderId: move.movedFulfillmentOrder?.id || move.fulfillmentOrderId,
+          remainingFulfillmentOrderId: move.remainingFulfillmentOrder?.id,
+          fromLocationId: move.fromLocationId,
+          fromLocationName: move.fromLocationName,
+          lineItems: move.lineItems,
+          outcome: move.partial ? 'partially_moved' : 'moved'
+        });
+      });
+
+      consolidationResult.failedMoves.forEach(move => {
+        this.audit.recordMove({
+          ...context,
+          fulfillmentOrderId: move.fulfillmentOrderId,
+          fromLocationId: move.fromLocationId,
+          fromLocationName: move.fromLocationName,
+          outcome: 'failed',
+          error: move.error
+        });
+      });
+
+      (consolidationResult.merge?.merged || [])
+        .filter(merge => merge.mergedFulfillmentOrderIds.length > 0)
+        .forEach(merge => {
+          this.audit.recordMerge({
+            ...context,
+            fulfillmentOrderId: merge.mergedFulfillmentOrderIds[0],
+            mergedFulfillmentOrderIds: merge.fulfillmentOrderIds,
+            toLocationId: merge.locationId,
+            lineItems: merge.lineItems.map(lineItem => ({
+              ...lineItem,
+              moveEntryId: this.findMoveEntryId(lineItem.fulfillmentOrderId)
+            })),
+            outcome: 'merged'
+          });
+        });
+    } catch (error) {
+      logger.logError(error, {
+        context: 'audit_trail',
+        orderId: order.id
+      });
+    }
+  }
+
+  /**
+   * ID of the latest move entry that brought a fulfillment order to its
+   * location, in this run or an earlier one (none if it was assigned there)
+   */
+  findMoveEntryId(fulfillmentOrderId) {
+    const move = this.audit.search({ action: 'move', fulfillmentOrderId })
+      .find(entry => entry.movedFulfillmentOrderId === fulfillmentOrderId &&
+        ['moved', 'partially_moved'].includes(entry.outcome));
+
+    return move ? move.id : null;
+  }
+
+  /**
+   * Write one `superseded` audit entry per move that was planned but not made
+   */
+  recordSupersededAudit(order, target, fulfillmentOrders, reason, options = {}) {
+    const context = this.getAuditContext(order, target, options);
+
+    try {
+      fulfillmentOrders.forEach(fulfillmentOrder => {
+        this.audit.recordMove({
+          ...context,
+          fulfillmentOrderId: fulfillmentOrder.id,
+          fromLocationId: this.getAssignedLocationId(fulfillmentOrder),
+          fromLocationName: fulfillmentOrder.assignedLocation?.location?.name,
+          outcome: 'superseded',
+          reason
+        });
+      });
+    } catch (error) {
+      logger.logError(error, {
+        context: 'audit_trail',
+        orderId: order.id
+      });
+    }
+  }
+
+  /**
+   * Fields shared by every audit entry of one consolidation run
+   */
+  getAuditContext(order, target, options) {
+    return {
+      shopDomain: this.client.shopDomain,
+      orderId: order.id,
+      orderName: order.name,
+      toLocationId: target.locationId,
+      rule: target.rule,
+      trigger: options.trigger || 'manual',
+      jobId: options.jobId
+    };
+  }
+
+  /**
+   * Group the active fulfillment orders that support MERGE by assigned location,
+   * keeping only locations with more than one of them
+   */
+  planMerges(fulfillmentOrders) {
+    const byLocation = new Map();
+
+    fulfillmentOrders
+      .filter(fulfillmentOrder => isActiveFulfillmentOrder(fulfillmentOrder) && supportsAction(fulfillmentOrder, 'MERGE'))
+      .forEach(fulfillmentOrder => {
+        const locationId = this.getAssignedLocationId(fulfillmentOrder);
+        if (!byLocation.has(locationId)) {
+          byLocation.set(locationId, []);
+        }
+        byLocation.get(locationId).push(fulfillmentOrder);
+      });
+
+    return Array.from(byLocation.entries())
+      .filter(([, group]) => group.length > 1)
+      .map(([locationId, group]) => ({ locationId, fulfillmentOrders: group }));
+  }
+
+  /**
+   * Re-read the order's fulfillment orders and merge the ones sharing a location,
+   * so the warehouse picks and ships them as one package. Merge failures are
+   * recorded rather than thrown - the moves have already happened.
+   */
+  async mergeFulfillmentOrdersByLocation(orderId) {
+    const merged = [];
+    const failed = [];
+
+    try {
+      const orderData = await this.fetchOrderWithFulfillmentOrders(orderId);
+      const groups = orderData ? this.planMerges(orderData.fulfillmentOrders) : [];
+
+      for (const group of groups) {
+        const fulfillmentOrderIds = group.fulfillmentOrders.map(fulfillmentOrder => fulfillmentOrder.id);
+
+        try {
+          const result = await this.mergeFulfillmentOrders(group.fulfillmentOrders);
+          merged.push({
+            locationId: group.locationId,
+            fulfillmentOrderIds,
+            ...result,
+            lineItems: this.getMergedLineItems(group.fulfillmentOrders)
+          });
+
+          logger.logOrderProcessing(orderId, 'fulfillment_orders_merged', {
+            locationId: group.locationId,
+            fulfillmentOrderIds,
+            mergedFulfillmentOrderIds: result.mergedFulfillmentOrderIds
+          });
+        } catch (error) {
+          logger.logError(error, {
+            context: 'merge_fulfillment_orders',
+            orderId,
+            locationId: group.locationId,
+            fulfillmentOrderIds
+          });
+          failed.push({ locationId: group.locationId, fulfillmentOrderIds, error: error.message });
+        }
+      }
+    } catch (error) {
+      logger.logError(error, { context: 'merge_fulfillment_orders', orderId });
+      failed.push({ error: error.message });
+    }
+
+    return { merged, failed };
+  }
+
+  /**
+   * The remaining line items a merge combines, by the fulfillment order they came
+   * from. The order line item ID identifies them on the merged fulfillment order.
    */
-  async moveFulfillmentOrder(fulfillmentOrderId, newLocationId) {
+  getMergedLineItems(fulfillmentOrders) {
+    return fulfillmentOrders.flatMap(fulfillmentOrder => this.getFulfillmentOrderLineItems(fulfillmentOrder)
+      .filter(lineItem => (lineItem.remainingQuantity ?? lineItem.quantity) > 0)
+      .map(lineItem => ({
+        fulfillmentOrderId: fulfillmentOrder.id,
+        lineItemId: lineItem.lineItem?.id,
+        sku: lineItem.sku,
+        quantity: lineItem.remainingQuantity ?? lineItem.quantity
+      })));
+  }
+
+  /**
+   * Merge fulfillment orders at one location, with all their remaining line items
+   */
+  async mergeFulfillmentOrders(fulfillmentOrders) {
     const mutation = `
-      mutation fulfillmentOrderMove($id: ID!, $newLocationId: ID!) {
-        fulfillmentOrderMove(id: $id, newLocationId: $newLocationId) {
-          fulfillmentOrder {
-            id
-            status
-            assignedLocation {
-              id
-              name
+      mutation fulfillmentOrderMerge($fulfillmentOrderMergeInputs: [FulfillmentOrderMergeInput!]!) {
+        fulfillmentOrderMerge(fulfillmentOrderMergeInputs: $fulfillmentOrderMergeInputs) {
+          fulfillmentOrderMerges {
+            fulfillmentOrder {
+              ${MOVE_RESULT_FIELDS}
             }
           }
           userErrors {
@@ -292,32 +1173,110 @@ class OrderService {
       }
     `;
 
+    const variables = {
+      fulfillmentOrderMergeInputs: [{
+        mergeIntents: fulfillmentOrders.map(fulfillmentOrder => ({
+          fulfillmentOrderId: fulfillmentOrder.id,
+          fulfillmentOrderLineItems: this.getFulfillmentOrderLineItems(fulfillmentOrder)
+            .filter(lineItem => (lineItem.remainingQuantity ?? lineItem.quantity) > 0)
+            .map(lineItem => ({
+              id: lineItem.id,
+              quantity: lineItem.remainingQuantity ?? lineItem.quantity
+            }))
+        }))
+      }]
+    };
+
+    const data = await this.client.query(mutation, variables);
+
+    const result = data.fulfillmentOrderMerge;
+
+    if (result.userErrors && result.userErrors.length > 0) {
+      throw new Error(`Fulfillment order merge errors: ${JSON.stringify(result.userErrors)}`);
+    }
+
+    return {
+      mergedFulfillmentOrderIds: result.fulfillmentOrderMerges
+        .map(merge => merge.fulfillmentOrder?.id)
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Move a fulfillment order to a different location
+   * @param {Array} [lineItems] - [{ id, quantity }] to move only some line items; the rest
+   *   stay behind on the remaining fulfillment order
+   */
+  async moveFulfillmentOrder(fulfillmentOrderId, newLocationId, lineItems) {
+    const mutation = `
+      mutation fulfillmentOrderMove($id: ID!, $newLocationId: ID!, $fulfillmentOrderLineItems: [FulfillmentOrderLineItemInput!]) {
+        fulfillmentOrderMove(id: $id, newLocationId: $newLocationId, fulfillmentOrderLineItems: $fulfillmentOrderLineItems) {
+          originalFulfillmentOrder {
+            ${MOVE_RESULT_FIELDS}
+          }
+          movedFulfillmentOrder {
+            ${MOVE_RESULT_FIELDS}
+          }
+          remainingFulfillmentOrder {
+            ${MOVE_RESULT_FIELDS}
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
     const variables = {
       id: fulfillmentOrderId,
       newLocationId: `gid://shopify/Location/${newLocationId}`
     };
 
-    const response = await axios.post(this.baseURL, {
-      query: mutation,
-      variables
-    }, { headers: this.headers });
-
-    if (response.data.errors) {
-      throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+    if (lineItems && lineItems.length > 0) {
+      variables.fulfillmentOrderLineItems = lineItems.map(lineItem => ({
+        id: lineItem.id,
+        quantity: lineItem.quantity
+      }));
     }
 
-    const result = response.data.data.fulfillmentOrderMove;
+    const data = await this.client.query(mutation, variables);
+
+    const result = data.fulfillmentOrderMove;
     
     if (result.userErrors && result.userErrors.length > 0) {
-      throw new Error(`Fulfillment order move errors: ${JSON.stringify(result.userErrors)}`);
+      const error = new Error(`Fulfillment order move errors: ${JSON.stringify(result.userErrors)}`);
+      error.userErrors = result.userErrors;
+      throw error;
+    }
+
+    return {
+      fulfillmentOrderId: result.movedFulfillmentOrder.id,
+      newLocation: result.movedFulfillmentOrder.assignedLocation.location,
+      status: result.movedFulfillmentOrder.status,
+      originalFulfillmentOrder: this.summarizeMovedFulfillmentOrder(result.originalFulfillmentOrder),
+      movedFulfillmentOrder: this.summarizeMovedFulfillmentOrder(result.movedFulfillmentOrder),
+      remainingFulfillmentOrder: this.summarizeMovedFulfillmentOrder(result.remainingFulfillmentOrder)
+    };
+  }
+
+  /**
+   * Reduce a fulfillment order returned by fulfillmentOrderMove to its ID, status and location
+   */
+  summarizeMovedFulfillmentOrder(fulfillmentOrder) {
+    if (!fulfillmentOrder) {
+      return null;
     }
 
     return {
-      fulfillmentOrderId: result.fulfillmentOrder.id,
-      newLocation: result.fulfillmentOrder.assignedLocation,
-      status: result.fulfillmentOrder.status
+      id: fulfillmentOrder.id,
+      status: fulfillmentOrder.status,
+      locationId: fulfillmentOrder.assignedLocation?.location?.id,
+      locationName: fulfillmentOrder.assignedLocation?.location?.name
     };
   }
+
 }
 
-module.exports = new OrderService(); 
\ No newline at end of file
+module.exports = new OrderService();
+module.exports.OrderService = OrderService; 
\ No newline at end of file
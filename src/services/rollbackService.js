@@ -0,0 +1,253 @@
+const logger = require('../utils/logger');
+const shopRegistry = require('./shopRegistry');
+const auditTrail = require('./auditTrail');
+const jobQueue = require('./jobQueue');
+const { getMoveSkipReason } = require('../utils/fulfillmentOrders');
+
+// Move outcomes that changed a fulfillment order's location and can be undone
+const REVERSIBLE_OUTCOMES = ['moved', 'partially_moved'];
+
+/**
+ * Undo consolidations by moving fulfillment orders (or, after a merge, the line
+ * items they contributed) back to the locations recorded in the audit trail
+ */
+class RollbackService {
+  constructor(registry = shopRegistry, audit = auditTrail, queue = jobQueue) {
+    this.registry = registry;
+    this.audit = audit;
+    this.queue = queue;
+  }
+
+  /**
+   * Roll back the recorded moves of one order or of a time window
+   * @param {Object} criteria
+   * @param {string} [criteria.shopDomain] - Only moves made in this shop
+   * @param {string} [criteria.orderId]
+   * @param {string} [criteria.orderName]
+   * @param {string|Date} [criteria.from] - Start of the window (move timestamps)
+   * @param {string|Date} [criteria.to] - End of the window
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Report what would be moved back without moving anything
+   * @param {string} [options.trigger] - Who asked for the rollback, for the audit trail
+   * @returns {Promise<Object>} rolledBack, skipped and failed entries
+   */
+  async rollback(criteria = {}, options = {}) {
+    const { shopDomain, orderId, orderName, from, to } = criteria;
+
+    if (!orderId && !orderName && !from && !to) {
+      throw new Error('An order or a time window is required');
+    }
+
+    const result = { rolledBack: [], skipped: [], failed: [], dryRun: Boolean(options.dryRun) };
+    const moves = this.findReversibleMoves({ shopDomain, orderId, orderName, from, to });
+
+    logger.info('Rollback started', {
+      shopDomain,
+      orderId,
+      orderName,
+      from,
+      to,
+      moves: moves.length,
+      dryRun: result.dryRun
+    });
+
+    // Newest first, so a fulfillment order moved twice ends up where it started
+    for (const move of moves) {
+      const outcome = await this.rollbackMove(move, options);
+      result[outcome.bucket].push(outcome.entry);
+    }
+
+    if (!result.dryRun) {
+      await this.storeFingerprints(result.rolledBack);
+    }
+
+    logger.info('Rollback completed', {
+      orderId,
+      orderName,
+      rolledBack: result.rolledBack.length,
+      skipped: result.skipped.length,
+      failed: result.failed.length,
+      dryRun: result.dryRun
+    });
+
+    return result;
+  }
+
+  /**
+   * Successful move entries matching the criteria that have not been rolled back yet
+   */
+  findReversibleMoves(criteria) {
+    const rolledBack = this.audit.getRolledBackEntryIds();
+
+    return this.audit.search({ ...criteria, action: 'move' })
+      .filter(entry => REVERSIBLE_OUTCOMES.includes(entry.outcome) && !rolledBack.has(entry.id));
+  }
+
+  /**
+   * Move one fulfillment order back to its recorded origin, unless fulfillment has
+   * started. When it was merged afterwards, only the line items it contributed are
+   * moved off the merged fulfillment order.
+   * @returns {Promise<{ bucket: string, entry: Object }>}
+   */
+  async rollbackMove(move, options = {}) {
+    const merge = this.findMerge(move);
+    const fulfillmentOrderId = merge
+      ? merge.fulfillmentOrderId
+      : move.movedFulfillmentOrderId || move.fulfillmentOrderId;
+    const entry = {
+      rollbackOf: move.id,
+      shopDomain: move.shopDomain,
+      orderId: move.orderId,
+      orderName: move.orderName,
+      fulfillmentOrderId,
+      mergeEntryId: merge ? merge.id : undefined,
+      fromLocationId: move.toLocationId,
+      toLocationId: move.fromLocationId,
+      toLocationName: move.fromLocationName,
+      rule: move.rule,
+      trigger: options.trigger || 'manual'
+    };
+
+    try {
+      // Moves recorded before multi-shop support carry no shop - they belong to the only one
+      const orders = this.registry.getOrderService(move.shopDomain);
+      const fulfillmentOrder = await orders.fetchFulfillmentOrder(fulfillmentOrderId);
+      let reason = this.getRollbackSkipReason(orders, fulfillmentOrder, move);
+      let lineItems;
+
+      if (!reason && merge) {
+        lineItems = this.getMergedLineItemsToMoveBack(orders, fulfillmentOrder, merge.lineItems);
+        if (lineItems.length === 0) {
+          reason = 'Its line items are no longer on the merged fulfillment order';
+        }
+      }
+
+      if (reason) {
+        return this.finish('skipped', { ...entry, outcome: 'skipped', reason }, options);
+      }
+
+      if (options.dryRun) {
+        return { bucket: 'rolledBack', entry: { ...entry, lineItems, outcome: 'planned' } };
+      }
+
+      const result = merge
+        ? await orders.moveFulfillmentOrder(fulfillmentOrderId, move.fromLocationId, lineItems)
+        : await orders.moveFulfillmentOrder(fulfillmentOrderId, move.fromLocationId);
+
+      return this.finish('rolledBack', {
+        ...entry,
+        lineItems,
+        movedFulfillmentOrderId: result.fulfillmentOrderId,
+        outcome: 'rolled_back'
+      }, options);
+
+    } catch (error) {
+      logger.logError(error, {
+        context: 'rollback_fulfillment_order',
+        orderId: move.orderId,
+        fulfillmentOrderId,
+        toLocation: move.fromLocationId
+      });
+      return this.finish('failed', { ...entry, outcome: 'failed', error: error.message }, options);
+    }
+  }
+
+  /**
+   * Store the fingerprint of each rolled back order as the rollback left it. The
+   * orders/updated webhooks our moves trigger then match it, instead of causing a
+   * re-evaluation that would consolidate the order again.
+   */
+  async storeFingerprints(rolledBack) {
+    const orders = new Map(rolledBack.map(entry => [`${entry.shopDomain}:${entry.orderId}`, entry]));
+
+    for (const { shopDomain, orderId } of orders.values()) {
+      try {
+        const orderService = this.registry.getOrderService(shopDomain);
+        const fingerprint = await orderService.fetchCurrentFingerprint(orderId);
+
+        if (fingerprint) {
+          this.queue.setOrderFingerprint(orderId, shopDomain || orderService.client.shopDomain, fingerprint);
+        }
+      } catch (error) {
+        logger.logError(error, { context: 'rollback_fingerprint', shopDomain, orderId });
+      }
+    }
+  }
+
+  /**
+   * The merge that absorbed a move's fulfillment order, if any
+   * @returns {Object|null} { id, fulfillmentOrderId, lineItems }: the merge entry ID,
+   *   the fulfillment order now holding the line items and the ones the move contributed
+   */
+  findMerge(move) {
+    // Newest first
+    const merges = this.audit.search({ action: 'merge', orderId: move.orderId, shopDomain: move.shopDomain });
+    const index = merges.findIndex(merge => (merge.lineItems || []).some(lineItem => lineItem.moveEntryId === move.id));
+
+    if (index === -1) {
+      return null;
+    }
+
+    // A later consolidation of the same order may have merged the result again
+    let { fulfillmentOrderId } = merges[index];
+    for (let later = index - 1; later >= 0; later--) {
+      if ((merges[later].mergedFulfillmentOrderIds || []).includes(fulfillmentOrderId)) {
+        fulfillmentOrderId = merges[later].fulfillmentOrderId;
+      }
+    }
+
+    return {
+      id: merges[index].id,
+      fulfillmentOrderId,
+      lineItems: merges[index].lineItems.filter(lineItem => lineItem.moveEntryId === move.id)
+    };
+  }
+
+  /**
+   * Line items of the merged fulfillment order to move back: the recorded ones,
+   * matched by order line item, capped at what is still unfulfilled
+   * @returns {Array<{ id, quantity }>}
+   */
+  getMergedLineItemsToMoveBack(orders, fulfillmentOrder, recordedLineItems) {
+    const current = orders.getFulfillmentOrderLineItems(fulfillmentOrder);
+
+    return recordedLineItems
+      .map(recorded => {
+        const lineItem = current.find(candidate => candidate.lineItem?.id === recorded.lineItemId);
+        const quantity = lineItem ? Math.min(recorded.quantity, lineItem.remainingQuantity ?? lineItem.quantity) : 0;
+        return { id: lineItem?.id, quantity };
+      })
+      .filter(lineItem => lineItem.quantity > 0);
+  }
+
+  /**
+   * Explain why a moved fulfillment order cannot be moved back
+   * @returns {string|null} The reason, or null when it can be moved back
+   */
+  getRollbackSkipReason(orders, fulfillmentOrder, move) {
+    if (!fulfillmentOrder) {
+      return 'Fulfillment order no longer exists (it may have been merged)';
+    }
+
+    const locationId = orders.getAssignedLocationId(fulfillmentOrder);
+    if (locationId !== String(move.toLocationId)) {
+      return `Fulfillment order is now at location ${locationId}, not ${move.toLocationId}`;
+    }
+
+    return getMoveSkipReason(fulfillmentOrder);
+  }
+
+  /**
+   * Record the rollback attempt in the audit trail (except in dry-run mode)
+   */
+  finish(bucket, entry, options) {
+    if (options.dryRun) {
+      return { bucket, entry };
+    }
+
+    return { bucket, entry: this.audit.recordRollback(entry) };
+  }
+}
+
+module.exports = new RollbackService();
+module.exports.RollbackService = RollbackService;
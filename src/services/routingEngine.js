@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+// Criteria a rule can match on, mapped to the normalized order field they compare against
+const CRITERIA = {
+  countries: 'country',
+  provinces: 'province',
+  tags: 'tags',
+  skus: 'skus',
+  vendors: 'vendors',
+  channels: 'channel'
+};
+
+const lower = value => String(value).trim().toLowerCase();
+
+/**
+ * Picks the consolidation target location for an order from an ordered list of
+ * routing rules. The first rule whose criteria all match wins; an order that
+ * matches nothing falls through to the default rule (USA_LOCATION_ID).
+ */
+class RoutingEngine {
+  constructor(rules = RoutingEngine.loadRules()) {
+    this.rules = rules.map((rule, index) => RoutingEngine.validateRule(rule, index));
+  }
+
+  /**
+   * Load rules from ROUTING_RULES_PATH / ROUTING_RULES (or a shop registry entry's
+   * rulesPath / rules) and append the default rule
+   */
+  static loadRules(routingConfig = config.routing, defaultLocationId = config.locations.usaLocationId) {
+    let rules = [];
+
+    if (routingConfig.rulesPath) {
+      const rulesFile = path.resolve(routingConfig.rulesPath);
+      rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } else if (routingConfig.rules) {
+      rules = typeof routingConfig.rules === 'string' ? JSON.parse(routingConfig.rules) : routingConfig.rules;
+    }
+
+    if (!Array.isArray(rules)) {
+      throw new Error('Routing rules must be a JSON array');
+    }
+
+    if (defaultLocationId && !RoutingEngine.hasDefaultRule(rules)) {
+      rules = [...rules, { name: 'default', locationId: defaultLocationId }];
+    }
+
+    return rules;
+  }
+
+  /**
+   * Whether a rule without criteria catches every order, so USA_LOCATION_ID is
+   * not needed as the fallback
+   */
+  static hasDefaultRule(rules) {
+    return rules.some(rule => !rule.match);
+  }
+
+  /**
+   * Validate a rule and normalize its criteria for matching
+   */
+  static validateRule(rule, index) {
+    if (!rule || !rule.locationId) {
+      throw new Error(`Routing rule #${index} is missing locationId`);
+    }
+
+    const match = {};
+    Object.entries(rule.match || {}).forEach(([criterion, values]) => {
+      if (!CRITERIA[criterion]) {
+        throw new Error(`Routing rule "${rule.name || index}" has unknown criterion: ${criterion}`);
+      }
+      match[criterion] = (Array.isArray(values) ? values : [values]).map(lower);
+    });
+
+    return {
+      name: rule.name || `rule_${index}`,
+      locationId: String(rule.locationId).split('/').pop(),
+      match
+    };
+  }
+
+  /**
+   * Normalize a GraphQL order node or a REST/webhook order payload
+   */
+  static normalizeOrder(order) {
+    const address = order.shippingAddress || order.shipping_address || {};
+    const rawTags = order.tags || [];
+    const tags = Array.isArray(rawTags) ? rawTags : String(rawTags).split(',');
+
+    const lineItems = order.lineItems?.edges?.map(edge => edge.node)
+      || order.lineItems?.nodes
+      || order.line_items
+      || [];
+
+    const channel = order.channelInformation?.channelDefinition?.handle
+      || order.source_name
+      || order.sourceName;
+
+    return {
+      country: address.countryCode || address.country_code,
+      province: address.provinceCode || address.province_code,
+      tags: tags.filter(tag => String(tag).trim()),
+      skus: lineItems.map(item => item.sku).filter(Boolean),
+      vendors: lineItems.map(item => item.vendor).filter(Boolean),
+      channel
+    };
+  }
+
+  /**
+   * Check whether every criterion of a rule matches the normalized order
+   */
+  matches(rule, facts) {
+    return Object.entries(rule.match).every(([criterion, expected]) => {
+      const actual = [].concat(facts[CRITERIA[criterion]] ?? []).map(lower);
+      return actual.some(value => expected.includes(value));
+    });
+  }
+
+  /**
+   * Select the consolidation target for an order
+   * @returns {{ rule: string, locationId: string }|null} null when no rule matches
+   */
+  selectTarget(order) {
+    const facts = RoutingEngine.normalizeOrder(order);
+    const rule = this.rules.find(candidate => this.matches(candidate, facts));
+
+    if (!rule) {
+      return null;
+    }
+
+    return {
+      rule: rule.name,
+      locationId: rule.locationId
+    };
+  }
+}
+
+module.exports = RoutingEngine;
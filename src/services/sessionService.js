@@ -0,0 +1,64 @@
+const config = require('../config/config');
+const { createSessionStore } = require('../stores');
+
+/**
+ * Offline sessions (shop + access token) created by the OAuth install flow.
+ * The shop registry reads access tokens from here, so an installed shop needs
+ * no token in the environment. Tokens are stored unencrypted; the file store
+ * only restricts the file to its owner.
+ */
+class SessionService {
+  constructor(store = createSessionStore(config.sessions)) {
+    this.store = store;
+  }
+
+  /**
+   * Session ID of a shop's offline token (the same scheme as shopify.session.getOfflineId)
+   */
+  getOfflineSessionId(shopDomain) {
+    return `offline_${shopDomain}`;
+  }
+
+  /**
+   * Store a session returned by the OAuth callback
+   * @param {Object} session - A shopify-api Session or its plain-object form
+   */
+  saveSession(session) {
+    const stored = {
+      ...(typeof session.toObject === 'function' ? session.toObject() : session),
+      installedAt: new Date().toISOString()
+    };
+
+    this.store.storeSession(stored);
+    return stored;
+  }
+
+  /**
+   * The shop's offline session, if the app is installed there
+   */
+  getOfflineSession(shopDomain) {
+    return this.store.loadSession(this.getOfflineSessionId(shopDomain)) || null;
+  }
+
+  /**
+   * Delete every session of a shop (on uninstall)
+   * @returns {number} The number of sessions removed
+   */
+  revokeShop(shopDomain) {
+    const sessions = this.store.getAllSessions().filter(session => session.shop === shopDomain);
+    sessions.forEach(session => this.store.deleteSession(session.id));
+    return sessions.length;
+  }
+
+  /**
+   * Domains of the shops that have an offline session
+   */
+  listInstalledShops() {
+    return this.store.getAllSessions()
+      .filter(session => !session.isOnline)
+      .map(session => session.shop);
+  }
+}
+
+module.exports = new SessionService();
+module.exports.SessionService = SessionService;
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const RoutingEngine = require('./routingEngine');
+const { ShopifyClient } = require('./shopifyClient');
+const { OrderService } = require('./orderService');
+const sessionService = require('./sessionService');
+
+/**
+ * The shops served by this instance, each with its own credentials, default
+ * target location and routing rules. Without SHOP_REGISTRY_PATH / SHOP_REGISTRY
+ * the registry holds the single shop configured through the legacy env vars.
+ *
+ * Shops that installed the app through OAuth use the offline token from the
+ * session store, and are served with the global location and routing settings
+ * unless the registry lists them.
+ */
+class ShopRegistry {
+  constructor(shops = ShopRegistry.loadShops(), sessions = sessionService) {
+    this.sessions = sessions;
+    this.shops = shops.map((shop, index) => ShopRegistry.validateShop(shop, index));
+
+    const domains = this.shops.map(shop => shop.shopDomain);
+    const duplicate = domains.find((domain, index) => domains.indexOf(domain) !== index);
+    if (duplicate) {
+      throw new Error(`Shop registry lists ${duplicate} more than once`);
+    }
+
+    this.orderServices = new Map();
+  }
+
+  /**
+   * Load shop entries from the registry file / inline JSON, or build the legacy single shop
+   */
+  static loadShops(shopsConfig = config.shops) {
+    if (!shopsConfig.registryPath && !shopsConfig.registry) {
+      return [{
+        shopDomain: config.shopify.shopDomain,
+        accessToken: config.shopify.accessToken,
+        defaultLocationId: config.locations.usaLocationId,
+        rulesPath: config.routing.rulesPath,
+        rules: config.routing.rules,
+        legacy: true
+      }];
+    }
+
+    const shops = shopsConfig.registryPath
+      ? JSON.parse(fs.readFileSync(path.resolve(shopsConfig.registryPath), 'utf8'))
+      : JSON.parse(shopsConfig.registry);
+
+    if (!Array.isArray(shops) || shops.length === 0) {
+      throw new Error('Shop registry must be a non-empty JSON array');
+    }
+
+    return shops;
+  }
+
+  /**
+   * Validate a shop entry and normalize its domain
+   */
+  static validateShop(shop, index) {
+    // The legacy shop may lack a domain outside production (tests, local runs);
+    // the access token may come from installing the app instead
+    if (!shop || (!shop.legacy && !shop.shopDomain)) {
+      throw new Error(`Shop registry entry #${index} is missing shopDomain`);
+    }
+
+    return {
+      ...shop,
+      shopDomain: shop.shopDomain && ShopRegistry.normalizeDomain(shop.shopDomain)
+    };
+  }
+
+  /**
+   * "https://Shop.myshopify.com/" -> "shop.myshopify.com"
+   */
+  static normalizeDomain(shopDomain) {
+    return String(shopDomain).trim().toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/\/+$/, '');
+  }
+
+  /**
+   * Find a registered or installed shop by domain. Without a domain, the only
+   * registered shop when exactly one is registered.
+   * @returns {Object|null}
+   */
+  getShop(shopDomain) {
+    if (!shopDomain) {
+      return this.shops.length === 1 ? this.withSessionToken(this.shops[0]) : null;
+    }
+
+    const normalized = ShopRegistry.normalizeDomain(shopDomain);
+    const registered = this.shops.find(shop => shop.shopDomain === normalized);
+
+    if (registered) {
+      return this.withSessionToken(registered);
+    }
+
+    const session = this.sessions.getOfflineSession(normalized);
+
+    if (!session) {
+      return null;
+    }
+
+    return {
+      shopDomain: normalized,
+      accessToken: session.accessToken,
+      defaultLocationId: config.locations.usaLocationId,
+      rulesPath: config.routing.rulesPath,
+      rules: config.routing.rules,
+      installed: true
+    };
+  }
+
+  /**
+   * A token from installing the app replaces one pasted into the configuration
+   */
+  withSessionToken(shop) {
+    const session = shop.shopDomain && this.sessions.getOfflineSession(shop.shopDomain);
+
+    return session ? { ...shop, accessToken: session.accessToken, installed: true } : shop;
+  }
+
+  /**
+   * All registered and installed shops
+   */
+  listShops() {
+    const registered = this.shops.map(shop => shop.shopDomain);
+    const installed = this.sessions.listInstalledShops()
+      .filter(shopDomain => !registered.includes(shopDomain));
+
+    return [
+      ...this.shops.map(shop => this.withSessionToken(shop)),
+      ...installed.map(shopDomain => this.getShop(shopDomain))
+    ];
+  }
+
+  /**
+   * Create a Shopify client authenticated for the shop
+   * @param {Object} [options] - Extra ShopifyClient options (maxRetries, ...)
+   */
+  createClient(shop, options = {}) {
+    return new ShopifyClient({
+      ...options,
+      shopDomain: shop.shopDomain,
+      accessToken: shop.accessToken,
+      apiVersion: shop.apiVersion
+    });
+  }
+
+  /**
+   * The order service for a shop, with its own client and routing rules. It is
+   * created once and rebuilt when the shop's access token changes.
+   * @throws {Error} If the shop is unknown or has no access token
+   */
+  getOrderService(shopDomain) {
+    const shop = this.getShop(shopDomain);
+
+    if (!shop) {
+      throw new Error(`Unknown shop: ${shopDomain || '(none)'}`);
+    }
+
+    if (!shop.accessToken) {
+      throw new Error(`No access token for shop ${shop.shopDomain} - install the app or configure one`);
+    }
+
+    const cached = this.orderServices.get(shop.shopDomain);
+
+    if (cached && cached.client.accessToken === shop.accessToken) {
+      return cached;
+    }
+
+    const rules = RoutingEngine.loadRules(shop, shop.defaultLocationId);
+    const orderService = new OrderService(new RoutingEngine(rules), this.createClient(shop));
+    this.orderServices.set(shop.shopDomain, orderService);
+
+    return orderService;
+  }
+}
+
+module.exports = new ShopRegistry();
+module.exports.ShopRegistry = ShopRegistry;
@@ -0,0 +1,316 @@
+const config = require('../config/config');
+const metrics = require('../utils/metrics');
+const notifier = require('./notifier');
+
+const DEFAULT_API_VERSION = '2023-10';
+
+const MUTATION_PATTERN = /^\s*mutation\b/;
+
+const requestDuration = metrics.histogram(
+  'shopify_graphql_request_duration_seconds',
+  'Shopify GraphQL HTTP round trip time',
+  ['status']
+);
+const throttleWaits = metrics.counter('shopify_graphql_throttle_waits_total', 'Proactive waits for query-cost capacity');
+const throttleWaitSeconds = metrics.counter('shopify_graphql_throttle_wait_seconds_total', 'Time spent waiting for query-cost capacity');
+const throttledResponses = metrics.counter('shopify_graphql_throttled_responses_total', 'THROTTLED or HTTP 429 responses');
+const retries = metrics.counter('shopify_graphql_retries_total', 'Retried GraphQL calls');
+const failures = metrics.counter('shopify_graphql_failures_total', 'GraphQL calls that failed after any retries');
+
+/**
+ * Shopify Admin GraphQL client shared by the app and the scripts.
+ *
+ * Tracks the query-cost leaky bucket reported in `extensions.cost.throttleStatus`,
+ * waits before a call when the bucket is too low for it, and retries THROTTLED
+ * responses and HTTP 429 with exponential backoff. Queries are also retried on
+ * HTTP 5xx, network errors and timeouts; mutations are not, since Shopify may
+ * have applied them before the response was lost.
+ * Uses the global fetch so the scripts can run without extra dependencies.
+ */
+class ShopifyClient {
+  constructor(options = {}) {
+    this.shopDomain = options.shopDomain ?? config.shopify.shopDomain;
+    this.accessToken = options.accessToken ?? config.shopify.accessToken;
+    this.apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    // Cost assumed for a query we have not seen a cost report for yet
+    this.defaultQueryCost = options.defaultQueryCost ?? 50;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.notifier = options.notifier || notifier;
+
+    this.throttleStatus = null;
+    this.throttleStatusAt = 0;
+    this.queryCosts = new Map();
+    this.stats = {
+      calls: 0,
+      failures: 0,
+      retries: 0,
+      throttledResponses: 0,
+      throttleWaits: 0,
+      throttleWaitMs: 0,
+      requestedQueryCost: 0,
+      actualQueryCost: 0,
+      totalDurationMs: 0
+    };
+  }
+
+  get endpoint() {
+    return `https://${this.shopDomain}/admin/api/${this.apiVersion}/graphql.json`;
+  }
+
+  /**
+   * Execute a GraphQL query or mutation
+   * @param {string} query - GraphQL document
+   * @param {Object} [variables] - GraphQL variables
+   * @returns {Promise<Object>} The `data` of the response
+   */
+  async query(query, variables = {}) {
+    const mutation = MUTATION_PATTERN.test(query);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForCapacity(query);
+
+      let outcome;
+      try {
+        outcome = await this.execute(query, variables);
+      } catch (error) {
+        // Network failure or timeout - the request may or may not have reached Shopify
+        outcome = { retryable: true, error: this.networkError(error) };
+      }
+
+      // A throttled call was not run; anything else may have been, so never repeat a mutation
+      if (!outcome.retryable || (mutation && !outcome.throttled)) {
+        if (outcome.error) {
+          this.stats.failures++;
+          failures.inc();
+          if (this.isAuthError(outcome.error)) {
+            this.notifier.alertAuthFailure({
+              shopDomain: this.shopDomain,
+              status: outcome.error.status || 'ACCESS_DENIED',
+              message: outcome.error.message
+            });
+          }
+          throw outcome.error;
+        }
+        return outcome.data;
+      }
+
+      if (attempt >= this.maxRetries) {
+        this.stats.failures++;
+        failures.inc();
+        throw outcome.error;
+      }
+
+      this.stats.retries++;
+      retries.inc();
+      await this.sleep(outcome.retryAfterMs ?? this.backoffDelay(attempt));
+    }
+  }
+
+  /**
+   * Fetch every node of a connection by following `pageInfo.endCursor`.
+   * The query must take an `$after: String` variable and select
+   * `pageInfo { hasNextPage endCursor }` plus `nodes` or `edges { node }`.
+   * @param {string} connectionPath - Dot path to the connection in `data`, e.g. "order.fulfillmentOrders"
+   * @returns {Promise<Array>} All nodes (empty if the connection's parent is null)
+   */
+  async paginate(query, variables = {}, connectionPath) {
+    const nodes = [];
+    let after = variables.after ?? null;
+
+    do {
+      const data = await this.query(query, { ...variables, after });
+      const connection = connectionPath.split('.').reduce((obj, key) => obj?.[key], data);
+
+      if (!connection) break;
+
+      nodes.push(...ShopifyClient.connectionNodes(connection));
+      after = connection.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after);
+
+    return nodes;
+  }
+
+  /**
+   * Return all nodes of a connection whose first page was already fetched,
+   * fetching the remaining pages with `query` when there are more
+   */
+  async completeConnection(connection, query, variables, connectionPath) {
+    const nodes = ShopifyClient.connectionNodes(connection);
+
+    if (connection?.pageInfo?.hasNextPage) {
+      const rest = await this.paginate(query, { ...variables, after: connection.pageInfo.endCursor }, connectionPath);
+      nodes.push(...rest);
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Nodes of a single connection page (`nodes` or `edges { node }`)
+   */
+  static connectionNodes(connection) {
+    if (!connection) return [];
+    return connection.nodes ? [...connection.nodes] : (connection.edges || []).map(edge => edge.node);
+  }
+
+  /**
+   * Perform a single HTTP round trip and classify the outcome
+   */
+  async execute(query, variables) {
+    const startedAt = Date.now();
+    this.stats.calls++;
+
+    const response = await this.fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': this.accessToken,
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const durationMs = Date.now() - startedAt;
+    this.stats.totalDurationMs += durationMs;
+    requestDuration.observe({ status: response.status }, durationMs / 1000);
+
+    if (response.status === 429 || response.status >= 500) {
+      if (response.status === 429) {
+        this.stats.throttledResponses++;
+        throttledResponses.inc();
+      }
+      const retryAfter = parseFloat(response.headers?.get?.('Retry-After'));
+      return {
+        retryable: true,
+        throttled: response.status === 429,
+        retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined,
+        error: this.httpError(response.status, await response.text())
+      };
+    }
+
+    if (!response.ok) {
+      return { retryable: false, error: this.httpError(response.status, await response.text()) };
+    }
+
+    const result = await response.json();
+    this.recordCost(query, result.extensions?.cost);
+
+    if (result.errors) {
+      const error = new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+      error.graphQLErrors = result.errors;
+
+      const throttled = result.errors.some(entry => entry.extensions?.code === 'THROTTLED');
+      if (throttled) {
+        this.stats.throttledResponses++;
+        throttledResponses.inc();
+      }
+      return { retryable: throttled, throttled, error };
+    }
+
+    return { retryable: false, data: result.data };
+  }
+
+  /**
+   * Remember the bucket state and the cost of this query
+   */
+  recordCost(query, cost) {
+    if (!cost) return;
+
+    this.stats.requestedQueryCost += cost.requestedQueryCost || 0;
+    this.stats.actualQueryCost += cost.actualQueryCost || 0;
+
+    if (cost.requestedQueryCost) {
+      this.queryCosts.set(query, cost.requestedQueryCost);
+    }
+    if (cost.throttleStatus) {
+      this.throttleStatus = cost.throttleStatus;
+      this.throttleStatusAt = Date.now();
+    }
+  }
+
+  /**
+   * Estimate the bucket's current level from the last report and its restore rate
+   */
+  estimateAvailable() {
+    if (!this.throttleStatus) return Infinity;
+
+    const { currentlyAvailable, maximumAvailable, restoreRate } = this.throttleStatus;
+    const restored = ((Date.now() - this.throttleStatusAt) / 1000) * restoreRate;
+
+    return Math.min(maximumAvailable, currentlyAvailable + restored);
+  }
+
+  /**
+   * Wait until the bucket has room for the query's expected cost
+   */
+  async waitForCapacity(query) {
+    if (!this.throttleStatus) return;
+
+    const { maximumAvailable, restoreRate } = this.throttleStatus;
+    const expectedCost = Math.min(this.queryCosts.get(query) ?? this.defaultQueryCost, maximumAvailable);
+    const shortfall = expectedCost - this.estimateAvailable();
+
+    if (shortfall <= 0 || !restoreRate) return;
+
+    const waitMs = Math.ceil((shortfall / restoreRate) * 1000);
+    this.stats.throttleWaits++;
+    this.stats.throttleWaitMs += waitMs;
+    throttleWaits.inc();
+    throttleWaitSeconds.inc({}, waitMs / 1000);
+    await this.sleep(waitMs);
+  }
+
+  /**
+   * Exponential backoff with jitter for retry attempt n (0-based)
+   */
+  backoffDelay(attempt) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  /**
+   * The token was rejected or lacks a scope the call needs
+   */
+  isAuthError(error) {
+    return error.status === 401 || error.status === 403 ||
+      Boolean(error.graphQLErrors?.some(entry => entry.extensions?.code === 'ACCESS_DENIED'));
+  }
+
+  /**
+   * Name the timeout instead of surfacing the bare AbortSignal error
+   */
+  networkError(error) {
+    if (error.name !== 'TimeoutError') {
+      return error;
+    }
+
+    const timeout = new Error(`Shopify did not respond within ${this.timeoutMs / 1000}s`);
+    timeout.cause = error;
+    return timeout;
+  }
+
+  httpError(status, body) {
+    const error = new Error(`HTTP error! status: ${status}${body ? ` - ${body}` : ''}`);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Call and query-cost statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      averageDurationMs: this.stats.calls ? Math.round(this.stats.totalDurationMs / this.stats.calls) : 0,
+      throttleStatus: this.throttleStatus
+    };
+  }
+}
+
+module.exports = new ShopifyClient();
+module.exports.ShopifyClient = ShopifyClient;
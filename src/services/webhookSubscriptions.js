@@ -0,0 +1,204 @@
+const shopifyClient = require('./shopifyClient');
+const webhookManifest = require('../config/webhooks');
+
+const SUBSCRIPTIONS_PAGE_SIZE = 50;
+
+const SUBSCRIPTION_FIELDS = `
+  id
+  topic
+  format
+  endpoint {
+    __typename
+    ... on WebhookHttpEndpoint {
+      callbackUrl
+    }
+  }
+`;
+
+const SUBSCRIPTIONS_QUERY = `
+  query listWebhookSubscriptions($after: String) {
+    webhookSubscriptions(first: ${SUBSCRIPTIONS_PAGE_SIZE}, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        ${SUBSCRIPTION_FIELDS}
+      }
+    }
+  }
+`;
+
+const CREATE_MUTATION = `
+  mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+    webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+      webhookSubscription {
+        ${SUBSCRIPTION_FIELDS}
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const UPDATE_MUTATION = `
+  mutation webhookSubscriptionUpdate($id: ID!, $webhookSubscription: WebhookSubscriptionInput!) {
+    webhookSubscriptionUpdate(id: $id, webhookSubscription: $webhookSubscription) {
+      webhookSubscription {
+        ${SUBSCRIPTION_FIELDS}
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const DELETE_MUTATION = `
+  mutation webhookSubscriptionDelete($id: ID!) {
+    webhookSubscriptionDelete(id: $id) {
+      deletedWebhookSubscriptionId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Lists, creates, updates and deletes the app's webhook subscriptions so that
+ * they match a manifest. Only subscriptions created by this app are visible
+ * to its token, so other apps' webhooks are never touched.
+ */
+class WebhookSubscriptions {
+  constructor(client = shopifyClient, manifest = webhookManifest) {
+    this.client = client;
+    this.manifest = manifest;
+  }
+
+  /**
+   * All of the app's webhook subscriptions in the shop
+   * @returns {Promise<Array<{ id, topic, format, callbackUrl }>>}
+   */
+  async list() {
+    const nodes = await this.client.paginate(SUBSCRIPTIONS_QUERY, {}, 'webhookSubscriptions');
+
+    return nodes.map(node => ({
+      id: node.id,
+      topic: node.topic,
+      format: node.format,
+      // null for EventBridge / Pub/Sub endpoints
+      callbackUrl: node.endpoint?.callbackUrl || null
+    }));
+  }
+
+  /**
+   * Compare subscriptions with the manifest. Per manifest topic, the first
+   * subscription is kept (and re-pointed if its URL or format differs) and any
+   * others are duplicates; topics missing from the manifest are stale.
+   * @param {Array} subscriptions - As returned by list()
+   * @param {string} baseUrl - The app's public URL, e.g. https://my-app.herokuapp.com
+   * @returns {{ create: Array, update: Array, delete: Array, unchanged: Array }}
+   */
+  plan(subscriptions, baseUrl) {
+    const base = String(baseUrl).replace(/\/+$/, '');
+    const plan = { create: [], update: [], delete: [], unchanged: [] };
+    const manifestTopics = new Set(this.manifest.map(entry => entry.topic));
+
+    for (const { topic, path } of this.manifest) {
+      const callbackUrl = `${base}${path}`;
+      const [current, ...duplicates] = subscriptions.filter(subscription => subscription.topic === topic);
+
+      if (!current) {
+        plan.create.push({ topic, callbackUrl });
+      } else if (current.callbackUrl !== callbackUrl || current.format !== 'JSON') {
+        plan.update.push({ id: current.id, topic, from: current.callbackUrl, callbackUrl });
+      } else {
+        plan.unchanged.push(current);
+      }
+
+      duplicates.forEach(duplicate => plan.delete.push({ ...duplicate, reason: 'duplicate' }));
+    }
+
+    subscriptions
+      .filter(subscription => !manifestTopics.has(subscription.topic))
+      .forEach(subscription => plan.delete.push({ ...subscription, reason: 'not in manifest' }));
+
+    return plan;
+  }
+
+  /**
+   * Bring the shop's subscriptions in line with the manifest
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only compute the plan
+   * @returns {Promise<Object>} The plan, plus `errors` for changes Shopify rejected
+   */
+  async sync(baseUrl, options = {}) {
+    const plan = this.plan(await this.list(), baseUrl);
+    const errors = [];
+
+    if (options.dryRun) {
+      return { ...plan, errors, dryRun: true };
+    }
+
+    for (const { topic, callbackUrl } of plan.create) {
+      await this.apply(errors, { action: 'create', topic }, () =>
+        this.mutate(CREATE_MUTATION, { topic, webhookSubscription: { callbackUrl, format: 'JSON' } }, 'webhookSubscriptionCreate')
+      );
+    }
+
+    for (const { id, topic, callbackUrl } of plan.update) {
+      await this.apply(errors, { action: 'update', id, topic }, () =>
+        this.mutate(UPDATE_MUTATION, { id, webhookSubscription: { callbackUrl, format: 'JSON' } }, 'webhookSubscriptionUpdate')
+      );
+    }
+
+    for (const { id, topic } of plan.delete) {
+      await this.apply(errors, { action: 'delete', id, topic }, () => this.deleteSubscription(id));
+    }
+
+    return { ...plan, errors, dryRun: false };
+  }
+
+  /**
+   * Delete one subscription
+   * @throws {Error} If Shopify rejects the deletion
+   */
+  async deleteSubscription(id) {
+    const result = await this.mutate(DELETE_MUTATION, { id }, 'webhookSubscriptionDelete');
+    return result.deletedWebhookSubscriptionId;
+  }
+
+  /**
+   * Run a mutation and return its payload
+   * @throws {Error} With the userErrors' messages if Shopify rejected the change
+   */
+  async mutate(mutation, variables, field) {
+    const data = await this.client.query(mutation, variables);
+    const result = data[field];
+
+    if (result?.userErrors?.length > 0) {
+      throw new Error(result.userErrors.map(userError => userError.message).join(', '));
+    }
+
+    return result;
+  }
+
+  /**
+   * Run one change, recording a failure instead of stopping the sync
+   */
+  async apply(errors, change, run) {
+    try {
+      await run();
+    } catch (error) {
+      errors.push({ ...change, error: error.message });
+    }
+  }
+}
+
+module.exports = new WebhookSubscriptions();
+module.exports.WebhookSubscriptions = WebhookSubscriptions;
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryAuditStore = require('./memoryAuditStore');
+
+/**
+ * JSON Lines audit store. Each entry is appended as one line, so existing
+ * history is never rewritten and a crash can at most lose the last line.
+ */
+class FileAuditStore extends MemoryAuditStore {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.load();
+  }
+
+  /**
+   * Load audit entries from disk, ignoring a truncated last line
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .forEach(line => {
+        try {
+          this.entries.push(JSON.parse(line));
+        } catch (error) {
+          // Partial write from an interrupted process
+        }
+      });
+  }
+
+  /**
+   * Append a single entry to the file
+   */
+  persist(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+  }
+}
+
+module.exports = FileAuditStore;
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryJobStore = require('./memoryJobStore');
+
+// Job fields stored as ISO strings that must be revived as Date objects
+const DATE_FIELDS = ['processAt', 'createdAt', 'startedAt', 'completedAt', 'failedAt', 'cancelledAt', 'deadLetteredAt'];
+
+/**
+ * JSON file job store. State is kept in memory and the whole file is
+ * rewritten (via temp file + rename) on every change, so a crash never
+ * leaves a half-written file behind.
+ */
+class FileJobStore extends MemoryJobStore {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.load();
+  }
+
+  /**
+   * Load jobs and processed orders from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+    (data.jobs || []).forEach(job => {
+      this.jobs.set(job.id, this.reviveDates(job));
+    });
+
+    (data.deadLetters || []).forEach(job => {
+      this.deadLetters.set(job.id, this.reviveDates(job));
+    });
+
+    (data.processedOrders || []).forEach(orderId => {
+      this.processedOrders.add(String(orderId));
+    });
+
+    Object.entries(data.orderFingerprints || {}).forEach(([orderId, fingerprint]) => {
+      this.orderFingerprints.set(orderId, fingerprint);
+    });
+  }
+
+  /**
+   * Convert ISO date strings on a loaded job back to Date objects
+   */
+  reviveDates(job) {
+    DATE_FIELDS.forEach(field => {
+      if (job[field]) {
+        job[field] = new Date(job[field]);
+      }
+    });
+    return job;
+  }
+
+  /**
+   * The store's directory must exist and be writable for persist() to succeed
+   */
+  checkHealth() {
+    const directory = path.dirname(this.filePath);
+    fs.mkdirSync(directory, { recursive: true });
+    fs.accessSync(directory, fs.constants.R_OK | fs.constants.W_OK);
+  }
+
+  /**
+   * Write the current state to disk atomically
+   */
+  persist() {
+    const data = {
+      jobs: this.getAllJobs(),
+      processedOrders: Array.from(this.processedOrders),
+      deadLetters: this.getAllDeadLetters(),
+      orderFingerprints: Object.fromEntries(this.orderFingerprints),
+      savedAt: new Date().toISOString()
+    };
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = FileJobStore;
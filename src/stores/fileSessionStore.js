@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const MemorySessionStore = require('./memorySessionStore');
+
+/**
+ * JSON file session store. Sessions hold access tokens, so the file is
+ * written with owner-only permissions (via temp file + rename, like the job store).
+ */
+class FileSessionStore extends MemorySessionStore {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.load();
+  }
+
+  /**
+   * Load sessions from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+    (data.sessions || []).forEach(session => {
+      this.sessions.set(session.id, session);
+    });
+  }
+
+  /**
+   * Write the current state to disk atomically
+   */
+  persist() {
+    const data = {
+      sessions: this.getAllSessions(),
+      savedAt: new Date().toISOString()
+    };
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,60 @@
+const MemoryJobStore = require('./memoryJobStore');
+const FileJobStore = require('./fileJobStore');
+const MemoryAuditStore = require('./memoryAuditStore');
+const FileAuditStore = require('./fileAuditStore');
+const MemorySessionStore = require('./memorySessionStore');
+const FileSessionStore = require('./fileSessionStore');
+
+/**
+ * Create the job store backend selected in config.jobStore
+ */
+function createJobStore(options = {}) {
+  switch (options.driver) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'file':
+      return new FileJobStore(options.path);
+    default:
+      throw new Error(`Unknown job store driver: ${options.driver}`);
+  }
+}
+
+/**
+ * Create the audit store backend selected in config.audit
+ */
+function createAuditStore(options = {}) {
+  switch (options.driver) {
+    case 'memory':
+      return new MemoryAuditStore();
+    case 'file':
+      return new FileAuditStore(options.path);
+    default:
+      throw new Error(`Unknown audit store driver: ${options.driver}`);
+  }
+}
+
+/**
+ * Create the session store backend selected in config.sessions
+ */
+function createSessionStore(options = {}) {
+  switch (options.driver) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore(options.path);
+    default:
+      throw new Error(`Unknown session store driver: ${options.driver}`);
+  }
+}
+
+module.exports = {
+  createJobStore,
+  createAuditStore,
+  createSessionStore,
+  MemoryJobStore,
+  FileJobStore,
+  MemoryAuditStore,
+  FileAuditStore,
+  MemorySessionStore,
+  FileSessionStore
+};
@@ -0,0 +1,31 @@
+/**
+ * In-memory audit store. Nothing survives a restart - used for tests and as
+ * the base class for the persistent stores.
+ */
+class MemoryAuditStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Get all audit entries, oldest first
+   */
+  getAllEntries() {
+    return this.entries.slice();
+  }
+
+  /**
+   * Append an audit entry. Entries are never updated or removed.
+   */
+  appendEntry(entry) {
+    this.entries.push(entry);
+    this.persist(entry);
+  }
+
+  /**
+   * Hook for subclasses to write a new entry to durable storage
+   */
+  persist() {}
+}
+
+module.exports = MemoryAuditStore;
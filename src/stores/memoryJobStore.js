@@ -0,0 +1,128 @@
+/**
+ * In-memory job store. Nothing survives a restart - used for tests and as
+ * the base class for the persistent stores.
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.processedOrders = new Set();
+    this.deadLetters = new Map();
+    this.orderFingerprints = new Map();
+  }
+
+  /**
+   * Get all stored jobs
+   */
+  getAllJobs() {
+    return Array.from(this.jobs.values());
+  }
+
+  /**
+   * Get a single job by ID
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  /**
+   * Insert or update a job
+   */
+  saveJob(job) {
+    this.jobs.set(job.id, job);
+    this.persist();
+  }
+
+  /**
+   * Remove a job
+   */
+  deleteJob(jobId) {
+    const deleted = this.jobs.delete(jobId);
+    if (deleted) {
+      this.persist();
+    }
+    return deleted;
+  }
+
+  /**
+   * Check whether an order was already consolidated
+   */
+  hasProcessedOrder(orderId) {
+    return this.processedOrders.has(String(orderId));
+  }
+
+  /**
+   * Record an order as consolidated (idempotency)
+   */
+  addProcessedOrder(orderId) {
+    this.processedOrders.add(String(orderId));
+    this.persist();
+  }
+
+  /**
+   * Number of orders recorded as consolidated
+   */
+  countProcessedOrders() {
+    return this.processedOrders.size;
+  }
+
+  /**
+   * Fingerprint of an order's state when it was last evaluated
+   */
+  getOrderFingerprint(orderId) {
+    return this.orderFingerprints.get(String(orderId));
+  }
+
+  /**
+   * Remember an order's state after an evaluation
+   */
+  setOrderFingerprint(orderId, fingerprint) {
+    this.orderFingerprints.set(String(orderId), fingerprint);
+    this.persist();
+  }
+
+  /**
+   * Get all dead-lettered jobs
+   */
+  getAllDeadLetters() {
+    return Array.from(this.deadLetters.values());
+  }
+
+  /**
+   * Get a single dead-lettered job by ID
+   */
+  getDeadLetter(jobId) {
+    return this.deadLetters.get(jobId);
+  }
+
+  /**
+   * Move an exhausted job into the dead-letter store
+   */
+  saveDeadLetter(job) {
+    this.deadLetters.set(job.id, job);
+    this.jobs.delete(job.id);
+    this.persist();
+  }
+
+  /**
+   * Remove a job from the dead-letter store
+   */
+  deleteDeadLetter(jobId) {
+    const deleted = this.deadLetters.delete(jobId);
+    if (deleted) {
+      this.persist();
+    }
+    return deleted;
+  }
+
+  /**
+   * Throw if the store cannot currently be read or written
+   */
+  checkHealth() {}
+
+  /**
+   * Hook for subclasses to write state to durable storage
+   */
+  persist() {}
+}
+
+module.exports = MemoryJobStore;
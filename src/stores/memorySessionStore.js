@@ -0,0 +1,49 @@
+/**
+ * In-memory session store. Nothing survives a restart - used for tests and as
+ * the base class for the persistent stores.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get a session by ID
+   */
+  loadSession(sessionId) {
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Insert or replace a session
+   */
+  storeSession(session) {
+    this.sessions.set(session.id, session);
+    this.persist();
+  }
+
+  /**
+   * Remove a session
+   */
+  deleteSession(sessionId) {
+    const deleted = this.sessions.delete(sessionId);
+    if (deleted) {
+      this.persist();
+    }
+    return deleted;
+  }
+
+  /**
+   * Get all stored sessions
+   */
+  getAllSessions() {
+    return Array.from(this.sessions.values());
+  }
+
+  /**
+   * Hook for subclasses to write state to durable storage
+   */
+  persist() {}
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,40 @@
+const adminHandler = require('../handlers/adminHandler');
+const jobQueue = require('../services/jobQueue');
+const rollbackService = require('../services/rollbackService');
+
+const response = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+describe('AdminHandler dryRun', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(['false', '0', 1, null])('Rejects %p instead of reading it as a boolean', async dryRun => {
+    const rollback = jest.spyOn(rollbackService, 'rollback');
+    const schedule = jest.spyOn(jobQueue, 'scheduleOrderProcessing');
+
+    for (const handle of [adminHandler.rollback, adminHandler.enqueueOrder]) {
+      const res = response();
+      await handle({ body: { orderId: '1001', dryRun } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'dryRun must be true or false' });
+    }
+
+    expect(rollback).not.toHaveBeenCalled();
+    expect(schedule).not.toHaveBeenCalled();
+  });
+
+  test('Passes JSON booleans through and leaves an omitted dryRun to the default', async () => {
+    const rollback = jest.spyOn(rollbackService, 'rollback').mockResolvedValue({ rolledBack: [] });
+    const schedule = jest.spyOn(jobQueue, 'scheduleOrderProcessing');
+
+    await adminHandler.rollback({ body: { orderId: '1001', dryRun: false } }, response());
+    await adminHandler.rollback({ body: { orderId: '1001' } }, response());
+    await adminHandler.enqueueOrder({ body: { orderId: '1002', dryRun: true } }, response());
+    await adminHandler.enqueueOrder({ body: { orderId: '1003' } }, response());
+
+    expect(rollback.mock.calls.map(call => call[1].dryRun)).toEqual([false, false]);
+    expect(schedule.mock.calls.map(call => call[0].dryRun)).toEqual([true, undefined]);
+  });
+});
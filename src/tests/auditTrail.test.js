@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditTrail } = require('../services/auditTrail');
+const { FileAuditStore, MemoryAuditStore } = require('../stores');
+
+const move = overrides => ({
+  orderId: 'gid://shopify/Order/1001',
+  orderName: '#1001',
+  fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/10',
+  fromLocationId: 'gid://shopify/Location/999',
+  toLocationId: '123',
+  trigger: 'orders/create',
+  rule: 'default',
+  outcome: 'moved',
+  ...overrides
+});
+
+describe('AuditTrail', () => {
+  test('Entries survive a restart', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-store-'));
+    const storePath = path.join(tmpDir, 'audit.jsonl');
+
+    try {
+      new AuditTrail(new FileAuditStore(storePath)).recordMove(move());
+      fs.appendFileSync(storePath, '{"truncated');
+
+      const entries = new AuditTrail(new FileAuditStore(storePath)).search();
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toEqual(expect.objectContaining({
+        action: 'move',
+        orderId: '1001',
+        fromLocationId: '999',
+        timestamp: expect.any(String)
+      }));
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('Searches by order name, location and date range', () => {
+    const audit = new AuditTrail(new MemoryAuditStore());
+    audit.recordMove(move());
+    audit.recordMove(move({ orderId: '1002', orderName: '#1002', fromLocationId: '888' }));
+    audit.store.entries[0].timestamp = '2025-01-01T00:00:00.000Z';
+
+    expect(audit.search({ orderName: '1001' })).toHaveLength(1);
+    expect(audit.search({ orderName: '#1002' })[0].orderId).toBe('1002');
+    expect(audit.search({ locationId: '888' })).toHaveLength(1);
+    expect(audit.search({ locationId: 'gid://shopify/Location/123' })).toHaveLength(2);
+    expect(audit.search({ from: '2025-06-01' }).map(entry => entry.orderId)).toEqual(['1002']);
+    expect(audit.search({ to: '2025-01-31' }).map(entry => entry.orderId)).toEqual(['1001']);
+    expect(() => audit.search({ from: 'yesterday' })).toThrow('Invalid date range');
+  });
+});
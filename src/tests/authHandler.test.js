@@ -0,0 +1,122 @@
+const { AuthHandler } = require('../handlers/authHandler');
+const { SessionService } = require('../services/sessionService');
+const { JobQueue } = require('../services/jobQueue');
+const { MemoryJobStore, MemorySessionStore } = require('../stores');
+const shopify = require('../config/shopify');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('AuthHandler', () => {
+  let sessions;
+  let queue;
+  let api;
+  let client;
+  let registry;
+  let handler;
+
+  const session = scope => ({
+    id: 'offline_shop-a.myshopify.com',
+    shop: 'shop-a.myshopify.com',
+    isOnline: false,
+    scope,
+    accessToken: 'shpat_a'
+  });
+
+  beforeEach(() => {
+    sessions = new SessionService(new MemorySessionStore());
+    queue = new JobQueue(new MemoryJobStore());
+    api = {
+      config: shopify.config,
+      utils: shopify.utils,
+      auth: { begin: jest.fn(), callback: jest.fn() }
+    };
+    client = {
+      paginate: jest.fn().mockResolvedValue([]),
+      query: jest.fn().mockResolvedValue({ webhookSubscriptionCreate: { userErrors: [] } })
+    };
+    registry = {
+      getShop: jest.fn(shopDomain => ({ shopDomain, accessToken: 'shpat_a' })),
+      createClient: jest.fn(() => client)
+    };
+    handler = new AuthHandler(api, sessions, queue, registry);
+  });
+
+  test('Rejects an install request without a valid shop domain', async () => {
+    const res = mockResponse();
+
+    await handler.beginInstall({ query: { shop: 'evil.example.com' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(api.auth.begin).not.toHaveBeenCalled();
+  });
+
+  test('Stores the offline session when the granted scopes match', async () => {
+    // write_orders implies read_orders, so Shopify does not list it
+    api.auth.callback.mockResolvedValue({ session: session('write_orders,read_locations,read_inventory') });
+    const res = mockResponse();
+
+    await handler.completeInstall({ query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(sessions.getOfflineSession('shop-a.myshopify.com').accessToken).toBe('shpat_a');
+  });
+
+  test('Registers the webhook subscriptions with the new token', async () => {
+    api.auth.callback.mockResolvedValue({ session: session('write_orders,read_locations,read_inventory') });
+    const res = mockResponse();
+
+    await handler.completeInstall({ query: {} }, res);
+
+    expect(registry.createClient).toHaveBeenCalledWith(expect.objectContaining({
+      shopDomain: 'shop-a.myshopify.com',
+      accessToken: 'shpat_a'
+    }));
+    const topics = client.query.mock.calls.map(([, variables]) => variables.topic);
+    expect(topics).toEqual(expect.arrayContaining(['APP_UNINSTALLED', 'ORDERS_CREATE']));
+    expect(client.query.mock.calls[0][1].webhookSubscription.callbackUrl).toMatch(/^https:\/\/.+\/webhooks\//);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      webhooks: expect.objectContaining({ registered: true, created: 6 })
+    }));
+  });
+
+  test('A failed webhook registration does not undo the install', async () => {
+    api.auth.callback.mockResolvedValue({ session: session('write_orders,read_locations,read_inventory') });
+    client.paginate.mockRejectedValue(new Error('Service unavailable'));
+    const res = mockResponse();
+
+    await handler.completeInstall({ query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(sessions.getOfflineSession('shop-a.myshopify.com')).not.toBeNull();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      webhooks: { registered: false, errors: [{ error: 'Service unavailable' }] }
+    }));
+  });
+
+  test('Refuses an install that granted different scopes', async () => {
+    api.auth.callback.mockResolvedValue({ session: session('read_orders') });
+    const res = mockResponse();
+
+    await handler.completeInstall({ query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(sessions.getOfflineSession('shop-a.myshopify.com')).toBeNull();
+  });
+
+  test('Uninstalling revokes the session and cancels pending jobs', async () => {
+    sessions.saveSession(session('write_orders,read_locations,read_inventory'));
+    const jobId = await queue.scheduleOrderProcessing({ shopDomain: 'shop-a.myshopify.com', orderId: 1, processAt: new Date() });
+    const res = mockResponse();
+
+    handler.handleAppUninstalled({ get: () => 'shop-a.myshopify.com' }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(sessions.getOfflineSession('shop-a.myshopify.com')).toBeNull();
+    expect(queue.getJob(jobId).status).toBe('cancelled');
+  });
+});
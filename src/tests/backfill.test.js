@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const consolidation = require('../../scripts/consolidation');
+const { backfill } = require('../../scripts/backfill');
+
+const pages = [
+  { orders: [{ id: 'gid://shopify/Order/1', name: '#1001' }, { id: 'gid://shopify/Order/2', name: '#1002' }], hasNextPage: true, endCursor: 'page-2' },
+  { orders: [{ id: 'gid://shopify/Order/3', name: '#1003' }], hasNextPage: false, endCursor: null }
+];
+
+describe('Backfill', () => {
+  let checkpointFile;
+
+  beforeEach(() => {
+    checkpointFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-')), 'checkpoint.json');
+    jest.spyOn(consolidation, 'fetchOrderPage').mockImplementation(async (search, { after }) => pages[after ? 1 : 0]);
+    jest.spyOn(consolidation, 'fetchOrder').mockImplementation(async id => ({
+      order: pages.flatMap(page => page.orders).find(order => order.id === id),
+      fulfillmentOrders: []
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Builds the search from the date range, statuses and tags', () => {
+    expect(consolidation.buildOrderSearch({
+      from: '2025-06-01',
+      to: '2025-06-30',
+      statuses: ['unfulfilled', 'partial'],
+      tags: ["o'brien"],
+      excludeTags: ['manual']
+    })).toBe("(fulfillment_status:unfulfilled OR fulfillment_status:partial) created_at:>='2025-06-01' " +
+      "created_at:<'2025-07-01' tag:'o\\'brien' -tag:'manual'");
+    expect(consolidation.buildOrderSearch({ statuses: ['any'] })).toBe('');
+  });
+
+  test('A date-only --to includes the whole day; a date and time is used as given', () => {
+    expect(consolidation.buildOrderSearch({ to: '2025-12-31' })).toBe("created_at:<'2026-01-01'");
+    expect(consolidation.buildOrderSearch({ to: '2024-02-28' })).toBe("created_at:<'2024-02-29'");
+    expect(consolidation.buildOrderSearch({ to: '2025-06-30T12:00:00Z' })).toBe("created_at:<='2025-06-30T12:00:00Z'");
+  });
+
+  test('Resumes an interrupted run after the last finished order and summarizes it', async () => {
+    const filters = { from: '2025-06-01', statuses: ['unfulfilled'] };
+    const consolidateOrder = jest.spyOn(consolidation, 'consolidateOrder')
+      .mockImplementationOnce(async ({ order }) => ({ orderId: order.id, orderName: order.name, action: 'consolidated', moved: ['fo-1'], planned: ['fo-1'], errors: [] }))
+      .mockRejectedValueOnce(new Error('Order could not be loaded'));
+
+    // The second order fails, then the run is interrupted fetching the next page
+    consolidation.fetchOrderPage.mockImplementation(async (search, { after }) => {
+      if (after) throw new Error('Network down');
+      return pages[0];
+    });
+
+    await expect(backfill(filters, { checkpointFile })).rejects.toThrow('Network down');
+
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+    expect(checkpoint.after).toBe('page-2');
+    expect(checkpoint.summary.processed).toBe(2);
+    expect(checkpoint.failures).toEqual([{ orderId: 'gid://shopify/Order/2', orderName: '#1002', errors: ['Order could not be loaded'] }]);
+
+    consolidation.fetchOrderPage.mockImplementation(async (search, { after }) => pages[after ? 1 : 0]);
+    consolidateOrder.mockReset().mockImplementation(async ({ order }) => ({
+      orderId: order.id, orderName: order.name, action: 'no_change_needed', moved: [], planned: [], errors: []
+    }));
+
+    const summary = await backfill(filters, { checkpointFile, concurrency: 2 });
+
+    expect(consolidateOrder.mock.calls.map(([{ order }]) => order.id)).toEqual(['gid://shopify/Order/3']);
+    expect(summary).toEqual(expect.objectContaining({
+      resumedFrom: 2,
+      processed: 3,
+      actions: { consolidated: 1, failed: 1, no_change_needed: 1 },
+      fulfillmentOrdersMoved: 1,
+      failed: 1
+    }));
+    expect(fs.existsSync(checkpointFile)).toBe(false);
+  });
+
+  test('Refuses a checkpoint left by a backfill with other filters', async () => {
+    fs.writeFileSync(checkpointFile, JSON.stringify({ search: 'tag:other', after: null, done: [], summary: {}, failures: [] }));
+
+    await expect(backfill({ from: '2025-06-01' }, { checkpointFile })).rejects.toMatchObject({ code: 'CHECKPOINT_MISMATCH' });
+  });
+});
@@ -0,0 +1,135 @@
+const { run, parseArgs, EXIT_CODES } = require('../../scripts/cli');
+const shopifyClient = require('../services/shopifyClient');
+const config = require('../config/config');
+
+const order = {
+  id: 'gid://shopify/Order/5551234',
+  name: '#1001',
+  totalPriceSet: { shopMoney: { amount: '10.00', currencyCode: 'USD' } },
+  tags: [],
+  shippingAddress: { countryCode: 'US' },
+  lineItems: { nodes: [] }
+};
+
+const fulfillmentOrders = [
+  {
+    id: 'gid://shopify/FulfillmentOrder/1',
+    status: 'OPEN',
+    supportedActions: [{ action: 'MOVE' }],
+    assignedLocation: { location: { id: 'gid://shopify/Location/987654321', name: 'Europe Warehouse' } },
+    lineItems: { nodes: [] }
+  },
+  {
+    id: 'gid://shopify/FulfillmentOrder/2',
+    status: 'OPEN',
+    supportedActions: [{ action: 'MOVE' }],
+    assignedLocation: { location: { id: 'gid://shopify/Location/123456789', name: 'USA Warehouse' } },
+    lineItems: { nodes: [] }
+  }
+];
+
+describe('CLI', () => {
+  let userErrors;
+
+  beforeEach(() => {
+    userErrors = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(shopifyClient, 'query').mockImplementation(async (query, variables) => {
+      if (query.includes('orderExists')) return { order: null };
+      if (query.includes('findOrderByName')) {
+        return { orders: { edges: variables.query === 'name:"#1001"' ? [{ node: { id: order.id, name: '#1001' } }] : [] } };
+      }
+      if (query.includes('getOrderWithFulfillmentOrders')) {
+        return { order: { ...order, fulfillmentOrders: { nodes: fulfillmentOrders.map(fo => ({ ...fo })) } } };
+      }
+      if (query.includes('getInventoryLevels')) {
+        return { nodes: variables.ids.map(id => ({ id, tracked: true, inventoryLevel: { quantities: [{ name: 'available', quantity: 0 }] } })) };
+      }
+      if (query.includes('getOrderState')) {
+        return {
+          order: { id: order.id, cancelledAt: null, displayFulfillmentStatus: 'UNFULFILLED' },
+          fulfillmentOrders: fulfillmentOrders.map(({ id, status }) => ({ id, status }))
+        };
+      }
+      const moved = {
+        id: variables.id,
+        status: 'OPEN',
+        assignedLocation: { location: { id: variables.newLocationId, name: 'USA Warehouse' } }
+      };
+      return {
+        fulfillmentOrderMove: userErrors.length
+          ? { userErrors }
+          : { originalFulfillmentOrder: moved, movedFulfillmentOrder: moved, remainingFulfillmentOrder: null, userErrors }
+      };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Parses shared options around the command', () => {
+    expect(parseArgs(['--json', 'process', '#1001', '--dry-run'], {})).toEqual(expect.objectContaining({
+      command: 'process',
+      args: ['#1001'],
+      json: true,
+      dryRun: true
+    }));
+    expect(parseArgs(['sweep'], { DRY_RUN: 'true' }).dryRun).toBe(true);
+    expect(() => parseArgs(['sweep', '--since'])).toThrow('Missing value for --since');
+  });
+
+  test('Exit codes distinguish usage errors, missing orders and failed moves', async () => {
+    expect(await run(['unknown'])).toBe(EXIT_CODES.USAGE);
+    expect(await run(['process'])).toBe(EXIT_CODES.USAGE);
+    expect(await run(['process', '4040'])).toBe(EXIT_CODES.NOT_FOUND);
+
+    expect(await run(['process', '1001', '--dry-run'])).toBe(EXIT_CODES.OK);
+    expect(shopifyClient.query).not.toHaveBeenCalledWith(expect.stringContaining('fulfillmentOrderMove'), expect.anything());
+
+    expect(await run(['process', JSON.stringify({ admin_graphql_api_id: order.id })])).toBe(EXIT_CODES.OK);
+    expect(shopifyClient.query).toHaveBeenCalledWith(expect.stringContaining('fulfillmentOrderMove'), {
+      id: 'gid://shopify/FulfillmentOrder/1',
+      newLocationId: 'gid://shopify/Location/123456789'
+    });
+
+    userErrors = [{ field: ['id'], message: 'Fulfillment order cannot be moved' }];
+    expect(await run(['process', order.id])).toBe(EXIT_CODES.FAILED);
+  });
+
+  test('Consolidates through OrderService, so the inventory check applies', async () => {
+    const lineItem = { id: 'gid://shopify/FulfillmentOrderLineItem/1', quantity: 1, remainingQuantity: 1, sku: 'EU-ONLY', inventoryItemId: 'gid://shopify/InventoryItem/7' };
+    fulfillmentOrders[0].lineItems = { nodes: [lineItem] };
+
+    try {
+      expect(await run(['process', order.id, '--json'])).toBe(EXIT_CODES.OK);
+    } finally {
+      fulfillmentOrders[0].lineItems = { nodes: [] };
+    }
+
+    expect(shopifyClient.query).not.toHaveBeenCalledWith(expect.stringContaining('fulfillmentOrderMove'), expect.anything());
+    expect(JSON.parse(console.log.mock.calls.pop()[0])).toEqual(expect.objectContaining({
+      action: 'insufficient_inventory',
+      unavailableItems: [expect.objectContaining({ sku: 'EU-ONLY', required: 1, available: 0 })]
+    }));
+  });
+
+  test('USA_LOCATION_ID is only required when no routing rule catches every order', async () => {
+    const { usaLocationId } = config.locations;
+    const { rules } = config.routing;
+    config.locations.usaLocationId = undefined;
+
+    try {
+      config.routing.rules = JSON.stringify([{ name: 'eu', match: { country: ['DE'] }, locationId: '987654321' }]);
+      expect(await run(['process', '1001', '--dry-run'])).toBe(EXIT_CODES.CONFIG);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('USA_LOCATION_ID'));
+
+      config.routing.rules = JSON.stringify([{ name: 'everywhere', locationId: '123456789' }]);
+      expect(await run(['process', '1001', '--dry-run'])).toBe(EXIT_CODES.OK);
+    } finally {
+      config.locations.usaLocationId = usaLocationId;
+      config.routing.rules = rules;
+    }
+  });
+});
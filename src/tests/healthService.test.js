@@ -0,0 +1,120 @@
+const { HealthService } = require('../services/healthService');
+const shopRegistry = require('../services/shopRegistry');
+
+const options = { maxTickAgeSeconds: 60, shopifyProbeTtlSeconds: 60, shopifyProbeTimeoutSeconds: 5 };
+
+describe('HealthService', () => {
+  let status;
+  let queue;
+  let client;
+  let health;
+
+  beforeEach(() => {
+    status = {
+      isRunning: true,
+      startedAt: new Date(Date.now() - 10 * 60000),
+      lastTickAt: new Date(),
+      lastSuccessfulTickAt: new Date(),
+      currentlyProcessing: 0
+    };
+    queue = { checkStore: jest.fn(() => ({ ok: true })) };
+    client = { accessToken: 'test_token', query: jest.fn().mockResolvedValue({ shop: { name: 'Test shop' } }) };
+    health = new HealthService({ getStatus: () => status }, queue, new Map([['test.myshopify.com', client]]), options);
+  });
+
+  test('Ready when processing, store and Shopify are all healthy', async () => {
+    const readiness = await health.checkReadiness();
+
+    expect(readiness.ok).toBe(true);
+    expect(readiness.checks.shopify.shops['test.myshopify.com'].shop).toBe('Test shop');
+  });
+
+  test('Not live when the processor has stopped ticking', () => {
+    status.lastSuccessfulTickAt = new Date(Date.now() - 5 * 60000);
+    expect(health.checkLiveness().ok).toBe(false);
+
+    status.lastSuccessfulTickAt = new Date();
+    status.isRunning = false;
+    expect(health.checkLiveness().checks.jobProcessor.error).toBe('Job processor is not running');
+  });
+
+  test('Not ready when Shopify rejects the token, and the probe is cached', async () => {
+    client.query.mockRejectedValue(new Error('HTTP error! status: 401'));
+
+    const first = await health.checkReadiness();
+    const second = await health.checkReadiness();
+
+    expect(first.ok).toBe(false);
+    expect(second.checks.shopify.shops['test.myshopify.com'].error).toBe('HTTP error! status: 401');
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('Stays ready while at least one shop is usable and reports the failing ones', async () => {
+    const revoked = { accessToken: 'revoked', query: jest.fn().mockRejectedValue(new Error('HTTP error! status: 401')) };
+    const uninstalled = { accessToken: undefined, query: jest.fn() };
+    health = new HealthService({ getStatus: () => status }, queue, new Map([
+      ['test.myshopify.com', client],
+      ['revoked.myshopify.com', revoked],
+      ['uninstalled.myshopify.com', uninstalled]
+    ]), options);
+
+    const readiness = await health.checkReadiness();
+
+    expect(readiness.ok).toBe(true);
+    expect(readiness.checks.shopify).toMatchObject({
+      ok: true,
+      usableShops: 1,
+      failingShops: ['revoked.myshopify.com', 'uninstalled.myshopify.com'],
+      shops: {
+        'test.myshopify.com': { ok: true },
+        'revoked.myshopify.com': { ok: false, error: 'HTTP error! status: 401' },
+        'uninstalled.myshopify.com': { ok: false }
+      }
+    });
+  });
+
+  test('Probes shops in parallel', async () => {
+    let pending = 0;
+    let maxPending = 0;
+    const slow = () => ({
+      accessToken: 'test_token',
+      query: jest.fn(async () => {
+        maxPending = Math.max(maxPending, ++pending);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        pending--;
+        return { shop: { name: 'Slow shop' } };
+      })
+    });
+    health = new HealthService({ getStatus: () => status }, queue, new Map([
+      ['a.myshopify.com', slow()],
+      ['b.myshopify.com', slow()],
+      ['c.myshopify.com', slow()]
+    ]), options);
+
+    const shopify = await health.checkShopify();
+
+    expect(maxPending).toBe(3);
+    expect(shopify.usableShops).toBe(3);
+  });
+
+  test('Probes each registered shop with a timeout', async () => {
+    const listShops = jest.spyOn(shopRegistry, 'listShops').mockReturnValue([{ shopDomain: 'test.myshopify.com', accessToken: 'test_token' }]);
+    const createClient = jest.spyOn(shopRegistry, 'createClient').mockReturnValue(client);
+
+    try {
+      health = new HealthService({ getStatus: () => status }, queue, null, options);
+      await health.checkShopify();
+
+      expect(createClient).toHaveBeenCalledWith(expect.objectContaining({ shopDomain: 'test.myshopify.com' }), { maxRetries: 0, timeoutMs: 5000 });
+    } finally {
+      listShops.mockRestore();
+      createClient.mockRestore();
+    }
+  });
+
+  test('Not ready when the job store is unreachable', async () => {
+    queue.checkStore.mockReturnValue({ ok: false, error: 'EACCES' });
+
+    expect((await health.checkReadiness()).ok).toBe(false);
+  });
+});
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../services/jobQueue');
+const { FileJobStore, MemoryJobStore } = require('../stores');
+
+describe('JobQueue persistence', () => {
+  let tmpDir;
+  let storePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    storePath = path.join(tmpDir, 'jobs.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('Scheduled jobs survive a restart', async () => {
+    const queue = new JobQueue(new FileJobStore(storePath));
+    const processAt = new Date(Date.now() - 1000);
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 1001, orderNumber: 1001, processAt });
+
+    const restarted = new JobQueue(new FileJobStore(storePath));
+    const readyJobs = restarted.getReadyJobs();
+
+    expect(readyJobs).toHaveLength(1);
+    expect(readyJobs[0].id).toBe(jobId);
+    expect(readyJobs[0].processAt).toBeInstanceOf(Date);
+  });
+
+  test('Completed orders stay idempotent across restarts', async () => {
+    const queue = new JobQueue(new FileJobStore(storePath));
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 1002, processAt: new Date() });
+    queue.markJobAsProcessing(jobId);
+    queue.markJobAsCompleted(jobId, { action: 'consolidated' });
+
+    const restarted = new JobQueue(new FileJobStore(storePath));
+    const result = await restarted.scheduleOrderProcessing({ orderId: 1002, processAt: new Date() });
+
+    expect(result).toBe(false);
+    expect(restarted.getStats().processedOrders).toBe(1);
+  });
+
+  test('Orders recorded before shop-scoped keys still count as processed', async () => {
+    // Store written before multi-shop support: keyed by the bare order ID
+    fs.writeFileSync(storePath, JSON.stringify({
+      jobs: [],
+      processedOrders: ['1005'],
+      orderFingerprints: { 1005: 'fingerprint-1005' }
+    }));
+
+    const queue = new JobQueue(new FileJobStore(storePath));
+
+    expect(await queue.scheduleOrderProcessing({ shopDomain: 'test.myshopify.com', orderId: 1005, processAt: new Date() })).toBe(false);
+    expect(queue.getOrderFingerprint(1005, 'test.myshopify.com')).toBe('fingerprint-1005');
+
+    // A newer record for the shop wins over the old one
+    queue.setOrderFingerprint(1005, 'test.myshopify.com', 'fingerprint-1005-new');
+    expect(queue.getOrderFingerprint(1005, 'test.myshopify.com')).toBe('fingerprint-1005-new');
+    expect(queue.getOrderFingerprint(1006, 'test.myshopify.com')).toBeUndefined();
+  });
+
+  test('Jobs interrupted mid-processing are rescheduled on load', async () => {
+    const queue = new JobQueue(new FileJobStore(storePath));
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 1003, processAt: new Date() });
+    queue.markJobAsProcessing(jobId);
+
+    const restarted = new JobQueue(new FileJobStore(storePath));
+
+    expect(restarted.getReadyJobs().map(job => job.id)).toEqual([jobId]);
+    expect(restarted.getStats().processing).toBe(0);
+  });
+
+  test('Retrying jobs keep their attempt count', async () => {
+    const queue = new JobQueue(new MemoryJobStore());
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 1004, processAt: new Date() });
+    queue.markJobAsProcessing(jobId);
+    queue.markJobAsFailed(jobId, new Error('Shopify unavailable'));
+
+    const job = queue.store.getJob(jobId);
+    expect(job.status).toBe('scheduled');
+    expect(job.attempts).toBe(1);
+    expect(job.processAt.getTime()).toBeGreaterThan(Date.now());
+  });
+});
+
+describe('JobQueue job control', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue(new MemoryJobStore());
+  });
+
+  test('Failed jobs keep their error history and can be retried', async () => {
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 2001, processAt: new Date() });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      queue.markJobAsProcessing(jobId);
+      queue.markJobAsFailed(jobId, new Error(`failure ${attempt + 1}`));
+    }
+
+    expect(queue.getJob(jobId).errors.map(entry => entry.error)).toEqual(['failure 1', 'failure 2']);
+    expect(queue.getReadyJobs()).toHaveLength(0);
+
+    const retried = queue.retryJob(jobId);
+    expect(retried.status).toBe('scheduled');
+    expect(queue.getReadyJobs().map(job => job.id)).toEqual([jobId]);
+  });
+
+  test('Only scheduled jobs can be cancelled', async () => {
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 2002, processAt: new Date() });
+
+    expect(queue.cancelJob(jobId).status).toBe('cancelled');
+    expect(queue.cancelJob(jobId)).toBeNull();
+    expect(queue.getReadyJobs()).toHaveLength(0);
+  });
+
+  test('Cancelling an order cancels its pending and retrying jobs only', async () => {
+    const pendingId = await queue.scheduleOrderProcessing({ orderId: 2006, processAt: new Date(Date.now() + 60000), force: true });
+    const retryingId = await queue.scheduleOrderProcessing({ orderId: 2006, processAt: new Date(), force: true });
+    queue.markJobAsProcessing(retryingId);
+    queue.markJobAsFailed(retryingId, new Error('Shopify unavailable'));
+    const otherId = await queue.scheduleOrderProcessing({ orderId: 2007, processAt: new Date() });
+
+    const cancelled = queue.cancelOrderJobs(2006, 'orders/cancelled');
+
+    expect(cancelled.map(job => job.id).sort()).toEqual([pendingId, retryingId].sort());
+    expect(queue.getJob(retryingId).cancelReason).toBe('orders/cancelled');
+    expect(queue.getJob(otherId).status).toBe('scheduled');
+  });
+
+  test('Jobs and idempotency are kept per shop', async () => {
+    const eastId = await queue.scheduleOrderProcessing({ shopDomain: 'east.myshopify.com', orderId: 2008, processAt: new Date() });
+    queue.markJobAsProcessing(eastId);
+    queue.markJobAsCompleted(eastId, { action: 'consolidated' });
+    await queue.scheduleOrderProcessing({ shopDomain: 'west.myshopify.com', orderId: 2008, processAt: new Date() });
+
+    expect(await queue.scheduleOrderProcessing({ shopDomain: 'east.myshopify.com', orderId: 2008, processAt: new Date() })).toBe(false);
+    expect(queue.cancelOrderJobs(2008, 'orders/cancelled', 'east.myshopify.com')).toHaveLength(0);
+    expect(queue.listJobs({ shopDomain: 'west.myshopify.com', status: 'scheduled' })).toHaveLength(1);
+  });
+
+  test('Jobs can be listed by status and order', async () => {
+    await queue.scheduleOrderProcessing({ orderId: 2003, processAt: new Date() });
+    const cancelledId = await queue.scheduleOrderProcessing({ orderId: 2004, processAt: new Date() });
+    queue.cancelJob(cancelledId);
+
+    expect(queue.listJobs({ status: 'cancelled' }).map(job => job.id)).toEqual([cancelledId]);
+    expect(queue.listJobs({ orderId: '2003' })).toHaveLength(1);
+  });
+
+  test('Forced scheduling bypasses the idempotency check', async () => {
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 2005, processAt: new Date() });
+    queue.markJobAsProcessing(jobId);
+    queue.markJobAsCompleted(jobId);
+
+    expect(await queue.scheduleOrderProcessing({ orderId: 2005, processAt: new Date() })).toBe(false);
+    expect(await queue.scheduleOrderProcessing({ orderId: 2005, processAt: new Date(), force: true })).toEqual(expect.any(String));
+  });
+});
+
+describe('JobQueue dead-letter store', () => {
+  const exhaust = (queue, jobId) => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      queue.markJobAsProcessing(jobId);
+      queue.markJobAsFailed(jobId, new Error(`failure ${attempt + 1}`));
+    }
+  };
+
+  test('Exhausted jobs are dead-lettered and never cleaned up', async () => {
+    const queue = new JobQueue(new MemoryJobStore());
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 3001, orderNumber: '#3001', processAt: new Date() });
+    exhaust(queue, jobId);
+
+    expect(queue.getJob(jobId)).toBeUndefined();
+    const deadLetter = queue.getDeadLetter(jobId);
+    expect(deadLetter.status).toBe('dead_lettered');
+    expect(deadLetter.orderNumber).toBe('#3001');
+    expect(deadLetter.errors).toHaveLength(3);
+
+    deadLetter.deadLetteredAt = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    queue.cleanup();
+    expect(queue.getStats().deadLettered).toBe(1);
+  });
+
+  test('Replaying schedules a new job with the error history', async () => {
+    const queue = new JobQueue(new MemoryJobStore());
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 3002, processAt: new Date() });
+    exhaust(queue, jobId);
+
+    const newJobId = await queue.replayDeadLetter(jobId);
+    const newJob = queue.getJob(newJobId);
+
+    expect(newJobId).not.toBe(jobId);
+    expect(newJob.replayOf).toBe(jobId);
+    expect(newJob.errors).toHaveLength(3);
+    expect(queue.getDeadLetter(jobId)).toBeUndefined();
+    expect(queue.getReadyJobs().map(job => job.id)).toEqual([newJobId]);
+  });
+
+  test('Dead letters survive a restart', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    const storePath = path.join(tmpDir, 'jobs.json');
+
+    try {
+      const queue = new JobQueue(new FileJobStore(storePath));
+      const jobId = await queue.scheduleOrderProcessing({ orderId: 3003, processAt: new Date() });
+      exhaust(queue, jobId);
+
+      const restarted = new JobQueue(new FileJobStore(storePath));
+      expect(restarted.getDeadLetter(jobId).deadLetteredAt).toBeInstanceOf(Date);
+      expect(await restarted.replayAllDeadLetters()).toHaveLength(1);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('JobQueue re-evaluation', () => {
+  test('A burst of updates is folded into one pending job', async () => {
+    const queue = new JobQueue(new MemoryJobStore());
+    const createdId = await queue.scheduleOrderProcessing({ orderId: 4001, processAt: new Date(), trigger: 'orders/create' });
+
+    const later = new Date(Date.now() + 60000);
+    const updatedId = await queue.scheduleOrderProcessing({
+      orderId: 4001, processAt: later, trigger: 'orders/updated', force: true, debounce: true, skipIfUnchanged: true
+    });
+
+    const job = queue.getJob(createdId);
+    expect(updatedId).toBe(createdId);
+    expect(queue.listJobs({ orderId: 4001 })).toHaveLength(1);
+    expect(job.processAt).toEqual(later);
+    expect(job.debouncedTriggers).toEqual(['orders/updated']);
+    // The pending full evaluation is not downgraded to a fingerprint check
+    expect(job.skipIfUnchanged).toBe(false);
+  });
+
+  test('Updates to a processed order schedule a re-evaluation and keep its fingerprint', async () => {
+    const queue = new JobQueue(new MemoryJobStore());
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 4002, processAt: new Date() });
+    queue.markJobAsProcessing(jobId);
+    queue.markJobAsCompleted(jobId, { action: 'consolidated', fulfillmentOrderFingerprint: 'abc' });
+
+    const reevaluationId = await queue.scheduleOrderProcessing({
+      orderId: 4002, processAt: new Date(), force: true, debounce: true, skipIfUnchanged: true
+    });
+
+    expect(reevaluationId).not.toBe(jobId);
+    expect(queue.getJob(reevaluationId).skipIfUnchanged).toBe(true);
+    expect(queue.getOrderFingerprint(4002)).toBe('abc');
+  });
+});
@@ -0,0 +1,25 @@
+const { parseArgs, selectShops } = require('../../scripts/manage-webhooks');
+
+describe('manage-webhooks shop selection', () => {
+  const registry = {
+    listShops: () => [
+      { shopDomain: 'a.myshopify.com', accessToken: 'shpat_a' },
+      { shopDomain: 'b.myshopify.com' },
+      { shopDomain: 'c.myshopify.com', accessToken: 'shpat_c', installed: true }
+    ],
+    getShop: shopDomain => registry.listShops().find(shop => shop.shopDomain === shopDomain) || null
+  };
+
+  test('Handles every shop that has a token', () => {
+    expect(selectShops(registry).map(shop => shop.shopDomain)).toEqual(['a.myshopify.com', 'c.myshopify.com']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping b.myshopify.com'));
+  });
+
+  test('Handles only the shop passed with --shop', () => {
+    const options = parseArgs(['list', '--shop', 'c.myshopify.com']);
+
+    expect(selectShops(registry, options.shop)).toEqual([expect.objectContaining({ accessToken: 'shpat_c' })]);
+    expect(() => selectShops(registry, 'b.myshopify.com')).toThrow('No access token for shop b.myshopify.com');
+    expect(() => selectShops(registry, 'd.myshopify.com')).toThrow('Unknown shop: d.myshopify.com');
+  });
+});
@@ -0,0 +1,46 @@
+const { MetricsRegistry } = require('../utils/metrics');
+const metrics = require('../utils/metrics');
+const { JobQueue } = require('../services/jobQueue');
+const { MemoryJobStore } = require('../stores');
+
+describe('MetricsRegistry', () => {
+  test('Renders counters, gauges and histograms in the text format', () => {
+    const registry = new MetricsRegistry('test_');
+    const counter = registry.counter('events_total', 'Events', ['kind']);
+    counter.inc({ kind: 'a' });
+    counter.inc({ kind: 'a' }, 2);
+    counter.inc({ kind: 'say "hi"' });
+
+    registry.gauge('depth', 'Depth', ['status'], gauge => gauge.set({ status: 'scheduled' }, 4));
+
+    const histogram = registry.histogram('duration_seconds', 'Duration', [], [0.1, 1]);
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+
+    const output = registry.render();
+
+    expect(output).toContain('# TYPE test_events_total counter');
+    expect(output).toContain('test_events_total{kind="a"} 3');
+    expect(output).toContain('test_events_total{kind="say \\"hi\\""} 1');
+    expect(output).toContain('test_depth{status="scheduled"} 4');
+    expect(output).toContain('test_duration_seconds_bucket{le="0.1"} 1');
+    expect(output).toContain('test_duration_seconds_bucket{le="1"} 2');
+    expect(output).toContain('test_duration_seconds_bucket{le="+Inf"} 2');
+    expect(output).toContain('test_duration_seconds_sum 0.55');
+    expect(output).toContain('test_duration_seconds_count 2');
+  });
+
+  test('Job queue events are counted', async () => {
+    const queue = new JobQueue(new MemoryJobStore());
+    const scheduled = metrics.counter('jobs_scheduled_total');
+    const processed = metrics.counter('orders_processed_total');
+    const before = scheduled.get({ trigger: 'orders/create' });
+
+    const jobId = await queue.scheduleOrderProcessing({ orderId: 9001, processAt: new Date(), trigger: 'orders/create' });
+    queue.markJobAsProcessing(jobId);
+    queue.markJobAsCompleted(jobId, { action: 'consolidated' });
+
+    expect(scheduled.get({ trigger: 'orders/create' })).toBe(before + 1);
+    expect(processed.get({ action: 'consolidated' })).toBeGreaterThanOrEqual(1);
+  });
+});
@@ -0,0 +1,215 @@
+const net = require('net');
+const { Notifier } = require('../services/notifier');
+const { AuditTrail } = require('../services/auditTrail');
+const { MemoryAuditStore } = require('../stores');
+const { createTransports, MemoryTransport, SlackTransport, HttpTransport, SmtpTransport } = require('../transports');
+
+/**
+ * Minimal SMTP server that records the commands and message it receives
+ */
+function startSmtpServer() {
+  const received = { commands: [], message: null };
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 test.local ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        received.message = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 Queued\r\n');
+      }
+
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        received.commands.push(line);
+
+        if (line.startsWith('EHLO')) {
+          socket.write('250-test.local\r\n250 8BITMIME\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (line === 'STARTTLS') {
+          socket.write('502 Command not implemented\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+  });
+}
+
+describe('Notifier', () => {
+  let transport;
+  let clock;
+  let notifier;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    clock = Date.parse('2025-06-01T12:00:00Z');
+    notifier = new Notifier([transport], { throttleMinutes: 15, now: () => clock });
+  });
+
+  test('Throttles alerts per type and shop and reports how many were held back', async () => {
+    const job = { id: 'job-1', shopDomain: 'a.myshopify.com', orderId: '1001', attempts: 3, error: 'boom' };
+
+    await expect(notifier.alertDeadLetter(job)).resolves.toBe(true);
+    await expect(notifier.alertDeadLetter(job)).resolves.toBe(false);
+    await notifier.alertDeadLetter(job);
+    // Another shop and another type have their own windows
+    await notifier.alertDeadLetter({ ...job, shopDomain: 'b.myshopify.com' });
+    await notifier.alertAuthFailure({ shopDomain: 'a.myshopify.com', status: 401, message: 'Unauthorized' });
+
+    clock += 15 * 60 * 1000;
+    await notifier.alertDeadLetter(job);
+
+    expect(transport.sent.map(sent => [sent.type, sent.shopDomain, sent.suppressed])).toEqual([
+      ['dead_letter', 'a.myshopify.com', 0],
+      ['dead_letter', 'b.myshopify.com', 0],
+      ['auth_failure', 'a.myshopify.com', 0],
+      ['dead_letter', 'a.myshopify.com', 2]
+    ]);
+  });
+
+  test('Formats rejected moves with their user errors', async () => {
+    await notifier.alertMoveFailed({
+      shopDomain: 'a.myshopify.com',
+      orderName: '#1001',
+      fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/10',
+      toLocationId: '123',
+      userErrors: [{ field: ['newLocationId'], message: 'Location does not stock this item' }]
+    });
+
+    expect(transport.sent[0]).toMatchObject({
+      type: 'move_failed',
+      severity: 'alert',
+      title: 'Fulfillment order move rejected for order #1001',
+      fields: { Errors: 'newLocationId: Location does not stock this item' }
+    });
+  });
+
+  test('A failing transport does not stop the others', async () => {
+    const onError = jest.fn();
+    const broken = { name: 'broken', send: jest.fn().mockRejectedValue(new Error('unreachable')) };
+    notifier = new Notifier([broken, transport], { onError });
+
+    notifier.alertAuthFailure({ shopDomain: 'a.myshopify.com', status: 403, message: 'Forbidden' });
+    await notifier.flush();
+
+    expect(transport.sent).toHaveLength(1);
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ transport: 'broken', type: 'auth_failure' }));
+  });
+
+  test('Does nothing without transports', async () => {
+    notifier = new Notifier([]);
+
+    expect(notifier.enabled).toBe(false);
+    await expect(notifier.alertAuthFailure({ shopDomain: 'a.myshopify.com', status: 401 })).resolves.toBe(false);
+  });
+
+  test('Daily digest summarizes the moves of the last 24 hours', async () => {
+    const audit = new AuditTrail(new MemoryAuditStore());
+    const entry = (timestamp, orderName, outcome) => audit.store.appendEntry({
+      action: 'move', timestamp, orderId: orderName.slice(1), orderName, outcome
+    });
+    entry('2025-05-31T08:00:00Z', '#1000', 'moved');
+    entry('2025-06-01T09:00:00Z', '#1001', 'moved');
+    entry('2025-06-01T09:00:01Z', '#1001', 'partially_moved');
+    entry('2025-06-01T10:00:00Z', '#1002', 'moved');
+    entry('2025-06-01T11:00:00Z', '#1003', 'failed');
+    entry('2025-06-01T11:30:00Z', '#1004', 'superseded');
+
+    notifier = new Notifier([transport], { audit, now: () => clock });
+    await notifier.sendDailyDigest();
+
+    expect(transport.sent[0]).toMatchObject({
+      type: 'daily_digest',
+      title: 'Daily consolidation digest: 2 order(s) consolidated',
+      fields: {
+        'Orders consolidated': 2,
+        'Fulfillment orders moved': 3,
+        'Failed moves': 1,
+        Orders: '#1001, #1002',
+        'Orders with failed moves': '#1003'
+      }
+    });
+  });
+});
+
+describe('Notification transports', () => {
+  test('Rejects unknown transports and missing settings', () => {
+    expect(() => createTransports({ transports: ['pager'] })).toThrow('Unknown notification transport: pager');
+    expect(() => createTransports({ transports: ['slack'] })).toThrow('NOTIFY_SLACK_WEBHOOK_URL');
+    expect(() => createTransports({ transports: ['smtp'], smtp: { host: 'mail' } })).toThrow('NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO');
+    expect(() => createTransports({ transports: ['http'], httpUrl: 'https://x', httpHeaders: '{' })).toThrow('NOTIFY_HTTP_HEADERS');
+  });
+
+  test('Slack transport posts a text message', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    const slack = new SlackTransport('https://hooks.slack.test/T/B/x', { fetch });
+
+    await slack.send({ severity: 'alert', title: 'Move rejected', text: 'Order stays split', fields: { Order: '#1001' }, suppressed: 4 });
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.text).toBe(':rotating_light: *Move rejected*\nOrder stays split\nOrder: #1001\n(4 similar alert(s) held back since the last one)');
+    expect(fetch.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+  });
+
+  test('HTTP transport gives up on an endpoint that does not answer', async () => {
+    const fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const http = new HttpTransport('https://alerts.test/hook', { fetch, timeoutMs: 10 });
+
+    await expect(http.send({ type: 'auth_failure', title: 'Test' })).rejects.toThrow(/timeout/i);
+  });
+
+  test('SMTP transport delivers a dot-stuffed message', async () => {
+    const { server, received, port } = await startSmtpServer();
+    const smtp = new SmtpTransport({
+      host: '127.0.0.1', port, from: 'alerts@example.com', to: 'ops@example.com, oncall@example.com'
+    });
+
+    try {
+      await smtp.sendMail('Zusammenführung fehlgeschlagen', 'First line\n.hidden line');
+    } finally {
+      server.close();
+    }
+
+    expect(received.commands.map(command => command.split(' ')[0]).slice(0, 5)).toEqual(['EHLO', 'MAIL', 'RCPT', 'RCPT', 'DATA']);
+    expect(received.commands[1]).toMatch(/^MAIL FROM:<alerts@example\.com>/);
+    expect(received.message).toContain('To: ops@example.com, oncall@example.com');
+    expect(received.message).toMatch(/^Subject: =\?UTF-8\?[QB]\?/m);
+    expect(received.message).toMatch(/\r\n\r\nFirst line\r\n\.\.hidden line/);
+  });
+
+  test('SMTP transport refuses to send credentials without TLS', async () => {
+    const { server, received, port } = await startSmtpServer();
+    const smtp = new SmtpTransport({
+      host: '127.0.0.1', port, user: 'user', pass: 'secret', from: 'alerts@example.com', to: 'ops@example.com'
+    });
+
+    try {
+      await expect(smtp.sendMail('Test', 'Body')).rejects.toThrow('STARTTLS');
+    } finally {
+      server.close();
+    }
+
+    expect(received.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+  });
+});
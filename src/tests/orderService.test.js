@@ -0,0 +1,458 @@
+const { OrderService } = require('../services/orderService');
+const { ShopifyClient } = require('../services/shopifyClient');
+const { AuditTrail } = require('../services/auditTrail');
+const { MemoryAuditStore } = require('../stores');
+const config = require('../config/config');
+
+// Real pagination helpers on top of a mocked transport
+const client = { query: jest.fn() };
+client.paginate = ShopifyClient.prototype.paginate.bind(client);
+client.completeConnection = ShopifyClient.prototype.completeConnection.bind(client);
+const orderService = new OrderService(undefined, client);
+
+const fulfillmentOrder = (id, locationId, lineItems, status = 'OPEN', actions = ['MOVE']) => ({
+  id: `gid://shopify/FulfillmentOrder/${id}`,
+  status,
+  supportedActions: actions.map(action => ({ action })),
+  assignedLocation: { location: { id: `gid://shopify/Location/${locationId}` } },
+  lineItems: {
+    nodes: lineItems.map(([inventoryItemId, remainingQuantity], index) => ({
+      id: `gid://shopify/FulfillmentOrderLineItem/${id}${index}`,
+      inventoryItemId: `gid://shopify/InventoryItem/${inventoryItemId}`,
+      remainingQuantity,
+      sku: `SKU-${inventoryItemId}`
+    }))
+  }
+});
+
+const inventoryResponse = levels => ({
+  nodes: Object.entries(levels).map(([inventoryItemId, quantity]) => ({
+    id: `gid://shopify/InventoryItem/${inventoryItemId}`,
+    tracked: true,
+    inventoryLevel: quantity === null ? null : { quantities: [{ name: 'available', quantity }] }
+  }))
+});
+
+describe('OrderService inventory check', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('All items available at the target location', async () => {
+    client.query.mockResolvedValue(inventoryResponse({ 1: 5, 2: 1 }));
+
+    const result = await orderService.checkInventoryAvailability([
+      fulfillmentOrder(10, '999', [[1, 2], [2, 1]]),
+      fulfillmentOrder(11, '123', [[3, 50]])
+    ], '123');
+
+    expect(result.allAvailable).toBe(true);
+    expect(result.stockedFulfillmentOrderIds).toEqual(['gid://shopify/FulfillmentOrder/10']);
+    // Items already at the target are not queried
+    expect(client.query.mock.calls[0][1].ids).toHaveLength(2);
+  });
+
+  test('Stock is allocated across fulfillment orders in turn', async () => {
+    client.query.mockResolvedValue(inventoryResponse({ 1: 3, 2: null }));
+
+    const result = await orderService.checkInventoryAvailability([
+      fulfillmentOrder(10, '999', [[1, 2]]),
+      fulfillmentOrder(11, '888', [[1, 2]]),
+      fulfillmentOrder(12, '888', [[2, 1]])
+    ], '123');
+
+    expect(result.allAvailable).toBe(false);
+    expect(result.stockedFulfillmentOrderIds).toEqual(['gid://shopify/FulfillmentOrder/10']);
+    expect(result.unavailableItems).toEqual([
+      expect.objectContaining({ fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/11', required: 2, available: 1 }),
+      expect.objectContaining({ fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/12', required: 1, available: 0 })
+    ]);
+    expect(result.partialLineItems).toEqual({
+      'gid://shopify/FulfillmentOrder/11': [{ id: 'gid://shopify/FulfillmentOrderLineItem/110', quantity: 1 }]
+    });
+  });
+});
+
+describe('OrderService partial line-item moves', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Moves only the stocked line items and reports what stayed behind', async () => {
+    const location = id => ({ location: { id: `gid://shopify/Location/${id}`, name: `Location ${id}` } });
+    client.query.mockResolvedValueOnce({
+      fulfillmentOrderMove: {
+        originalFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/10', status: 'CLOSED', assignedLocation: location(999) },
+        movedFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/20', status: 'OPEN', assignedLocation: location(123) },
+        remainingFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/21', status: 'OPEN', assignedLocation: location(999) },
+        userErrors: []
+      }
+    });
+    // Nothing left to merge once the order is re-read
+    client.query.mockResolvedValueOnce({ order: null });
+
+    const result = await orderService.consolidateFulfillmentOrders(
+      { id: 'gid://shopify/Order/1' },
+      [fulfillmentOrder(10, '999', [[1, 2], [2, 1]])],
+      { rule: 'default', locationId: '123' },
+      { 'gid://shopify/FulfillmentOrder/10': [{ id: 'gid://shopify/FulfillmentOrderLineItem/100', quantity: 1 }] }
+    );
+
+    expect(client.query.mock.calls[0][1].fulfillmentOrderLineItems).toEqual([
+      { id: 'gid://shopify/FulfillmentOrderLineItem/100', quantity: 1 }
+    ]);
+    expect(result.moves[0]).toEqual(expect.objectContaining({
+      partial: true,
+      movedFulfillmentOrder: expect.objectContaining({ id: 'gid://shopify/FulfillmentOrder/20' }),
+      remainingFulfillmentOrder: expect.objectContaining({ id: 'gid://shopify/FulfillmentOrder/21' })
+    }));
+    expect(result.lineItemsLeftBehind).toEqual([
+      expect.objectContaining({ fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/21', sku: 'SKU-1', quantity: 1 }),
+      expect.objectContaining({ fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/21', sku: 'SKU-2', quantity: 1 })
+    ]);
+  });
+
+  test('Reports insufficient inventory when the target stocks none of the line items', async () => {
+    const policy = config.inventory.policy;
+    config.inventory.policy = 'partial';
+    const order = {
+      id: 'gid://shopify/Order/1',
+      fulfillmentOrders: {
+        nodes: [fulfillmentOrder(10, '999', [[1, 2]]), fulfillmentOrder(11, '123456789', [[2, 1]])]
+      },
+      lineItems: { nodes: [] }
+    };
+    client.query
+      .mockResolvedValueOnce({ order })
+      .mockResolvedValueOnce(inventoryResponse({ 1: 0 }));
+
+    try {
+      const result = await orderService.processOrderLocationConsolidation('1', { dryRun: false });
+
+      expect(result).toEqual(expect.objectContaining({
+        action: 'insufficient_inventory',
+        inventoryPolicy: 'partial',
+        unavailableItems: [expect.objectContaining({ required: 2, available: 0 })]
+      }));
+      // No order re-check and no mutations
+      expect(client.query).toHaveBeenCalledTimes(2);
+    } finally {
+      config.inventory.policy = policy;
+    }
+  });
+
+  test('Alerts when Shopify rejects a move', async () => {
+    const notifier = { alertMoveFailed: jest.fn() };
+    const service = new OrderService(undefined, { ...client, shopDomain: 'test.myshopify.com' }, undefined, notifier);
+    const userErrors = [{ field: ['newLocationId'], message: 'Location is inactive' }];
+    client.query.mockResolvedValueOnce({ fulfillmentOrderMove: { userErrors } });
+
+    const result = await service.consolidateFulfillmentOrders(
+      { id: 'gid://shopify/Order/1', name: '#1001' },
+      [fulfillmentOrder(10, '999', [[1, 2]])],
+      { rule: 'default', locationId: '123' }
+    );
+
+    expect(result.failedMoves).toHaveLength(1);
+    expect(notifier.alertMoveFailed).toHaveBeenCalledWith(expect.objectContaining({
+      shopDomain: 'test.myshopify.com',
+      orderName: '#1001',
+      fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/10',
+      userErrors
+    }));
+  });
+});
+
+describe('OrderService dry run', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Builds a plan and performs no mutations', async () => {
+    const order = {
+      id: 'gid://shopify/Order/1',
+      fulfillmentOrders: {
+        nodes: [
+          fulfillmentOrder(10, '999', [[1, 1]]),
+          fulfillmentOrder(11, '123456789', [[2, 1]])
+        ]
+      },
+      lineItems: { nodes: [] }
+    };
+
+    client.query
+      .mockResolvedValueOnce({ order })
+      .mockResolvedValueOnce(inventoryResponse({ 1: 10 }));
+
+    const result = await orderService.processOrderLocationConsolidation('1', { dryRun: true });
+
+    expect(result.action).toBe('dry_run');
+    expect(result.plan.moves).toEqual([
+      expect.objectContaining({
+        fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/10',
+        fromLocationId: '999',
+        toLocationId: '123456789'
+      })
+    ]);
+    const mutations = client.query.mock.calls.filter(([query]) => query.includes('mutation'));
+    expect(mutations).toHaveLength(0);
+  });
+});
+
+describe('OrderService re-evaluation', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const order = () => ({
+    id: 'gid://shopify/Order/1',
+    tags: [],
+    shippingAddress: { countryCode: 'US' },
+    fulfillmentOrders: {
+      nodes: [fulfillmentOrder(10, '999', [[1, 1]]), fulfillmentOrder(11, '123456789', [[2, 1]])]
+    },
+    lineItems: { nodes: [] }
+  });
+
+  test('Leaves the order alone when nothing changed since the last evaluation', async () => {
+    const previous = order();
+    const previousFingerprint = orderService.getOrderFingerprint(previous, previous.fulfillmentOrders.nodes);
+    client.query.mockResolvedValueOnce({ order: order() });
+
+    const result = await orderService.processOrderLocationConsolidation('1', { previousFingerprint });
+
+    expect(result.action).toBe('no_change_needed');
+    expect(result.reason).toMatch(/unchanged/);
+    expect(result.fulfillmentOrderFingerprint).toBe(previousFingerprint);
+    // Only the order was read - no inventory check and no mutations
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('Stores the fingerprint of the state the moves left behind', async () => {
+    const merge = config.processing.mergeFulfillmentOrders;
+    config.processing.mergeFulfillmentOrders = false;
+    const service = new OrderService(undefined, client, new AuditTrail(new MemoryAuditStore()));
+    const location = id => ({ location: { id: `gid://shopify/Location/${id}`, name: `Location ${id}` } });
+    const consolidated = order();
+    consolidated.fulfillmentOrders.nodes[0] = fulfillmentOrder(20, '123456789', [[1, 1]]);
+
+    client.query
+      .mockResolvedValueOnce({ order: order() })
+      .mockResolvedValueOnce(inventoryResponse({ 1: 10 }))
+      .mockResolvedValueOnce({
+        order: { id: 'gid://shopify/Order/1', cancelledAt: null, displayFulfillmentStatus: 'UNFULFILLED' },
+        fulfillmentOrders: [{ id: 'gid://shopify/FulfillmentOrder/10', status: 'OPEN' }]
+      })
+      .mockResolvedValueOnce({
+        fulfillmentOrderMove: {
+          originalFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/10', status: 'CLOSED', assignedLocation: location(999) },
+          movedFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/20', status: 'OPEN', assignedLocation: location(123456789) },
+          remainingFulfillmentOrder: null,
+          userErrors: []
+        }
+      })
+      .mockResolvedValueOnce({ order: consolidated });
+
+    try {
+      const result = await service.processOrderLocationConsolidation('1', { dryRun: false });
+
+      expect(result.action).toBe('consolidated');
+      expect(result.fulfillmentOrderFingerprint)
+        .toBe(service.getOrderFingerprint(consolidated, consolidated.fulfillmentOrders.nodes));
+
+      // The orders/updated webhook caused by the move finds nothing new
+      client.query.mockResolvedValueOnce({ order: consolidated });
+      const rerun = await service.processOrderLocationConsolidation('1', { previousFingerprint: result.fulfillmentOrderFingerprint });
+      expect(rerun.reason).toMatch(/unchanged/);
+    } finally {
+      config.processing.mergeFulfillmentOrders = merge;
+    }
+  });
+
+  test('Fingerprint changes when a fulfillment order or the address changes', () => {
+    const original = order();
+    const fingerprint = orderService.getOrderFingerprint(original, original.fulfillmentOrders.nodes);
+
+    const moved = order();
+    moved.fulfillmentOrders.nodes[0].assignedLocation.location.id = 'gid://shopify/Location/123456789';
+    const readdressed = order();
+    readdressed.shippingAddress.countryCode = 'CA';
+
+    expect(orderService.getOrderFingerprint(moved, moved.fulfillmentOrders.nodes)).not.toBe(fingerprint);
+    expect(orderService.getOrderFingerprint(readdressed, readdressed.fulfillmentOrders.nodes)).not.toBe(fingerprint);
+  });
+});
+
+describe('OrderService superseded runs', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Moves nothing when the order was cancelled after it was fetched', async () => {
+    const audit = new AuditTrail(new MemoryAuditStore());
+    const service = new OrderService(undefined, client, audit);
+    const order = {
+      id: 'gid://shopify/Order/1',
+      name: '#1001',
+      fulfillmentOrders: {
+        nodes: [fulfillmentOrder(10, '999', [[1, 1]]), fulfillmentOrder(11, '123456789', [[2, 1]])]
+      },
+      lineItems: { nodes: [] }
+    };
+
+    client.query
+      .mockResolvedValueOnce({ order })
+      .mockResolvedValueOnce(inventoryResponse({ 1: 10 }))
+      .mockResolvedValueOnce({
+        order: { id: order.id, cancelledAt: '2025-01-01T00:00:00Z', displayFulfillmentStatus: 'UNFULFILLED' },
+        fulfillmentOrders: [{ id: 'gid://shopify/FulfillmentOrder/10', status: 'CANCELLED' }]
+      });
+
+    const result = await service.processOrderLocationConsolidation('1', { dryRun: false, trigger: 'orders/create' });
+
+    expect(result.action).toBe('superseded');
+    expect(result.reason).toBe('Order was cancelled');
+    const mutations = client.query.mock.calls.filter(([query]) => query.includes('mutation'));
+    expect(mutations).toHaveLength(0);
+    expect(audit.search({ outcome: 'superseded' })).toEqual([
+      expect.objectContaining({ fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/10', reason: 'Order was cancelled' })
+    ]);
+  });
+
+  test('Reports fulfillment orders whose status changed', async () => {
+    client.query.mockResolvedValueOnce({
+      order: { id: 'gid://shopify/Order/1', cancelledAt: null, displayFulfillmentStatus: 'PARTIALLY_FULFILLED' },
+      fulfillmentOrders: [{ id: 'gid://shopify/FulfillmentOrder/10', status: 'IN_PROGRESS' }, null]
+    });
+
+    const reason = await orderService.getSupersededReason('1', [
+      fulfillmentOrder(10, '999', [[1, 1]]),
+      fulfillmentOrder(11, '999', [[2, 1]])
+    ]);
+
+    expect(reason).toBe('Fulfillment order gid://shopify/FulfillmentOrder/10 is now in_progress');
+  });
+});
+
+describe('OrderService fulfillment order eligibility', () => {
+  test('Skips fulfillment orders that cannot be moved, with a reason', () => {
+    const partlyFulfilled = fulfillmentOrder(13, '777', [[4, 1]]);
+    partlyFulfilled.lineItems.nodes[0].totalQuantity = 3;
+
+    const { movable, skipped } = orderService.classifyFulfillmentOrders([
+      fulfillmentOrder(10, '999', [[1, 1]]),
+      fulfillmentOrder(11, '999', [[2, 1]], 'CLOSED', []),
+      fulfillmentOrder(12, '888', [[3, 1]], 'OPEN', ['HOLD']),
+      partlyFulfilled,
+      fulfillmentOrder(14, '999', [[5, 1]], 'ON_HOLD', ['RELEASE_HOLD']),
+      fulfillmentOrder(15, '123', [[6, 1]], 'IN_PROGRESS', [])
+    ], '123');
+
+    expect(movable.map(fo => fo.id)).toEqual(['gid://shopify/FulfillmentOrder/10']);
+    expect(skipped.map(entry => [entry.fulfillmentOrderId.split('/').pop(), entry.reason])).toEqual([
+      ['11', 'Fulfillment order is closed'],
+      ['12', 'Fulfillment order does not support MOVE'],
+      ['13', 'Fulfillment order is partially fulfilled'],
+      ['14', 'Fulfillment order is on hold']
+    ]);
+  });
+});
+
+describe('OrderService pagination', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const page = (nodes, endCursor = null) => ({
+    pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+    nodes
+  });
+
+  test('Fetches every page of fulfillment orders and their line items', async () => {
+    const lineItem = id => ({ id: `gid://shopify/FulfillmentOrderLineItem/${id}`, remainingQuantity: 1 });
+    const fo = (id, lineItems) => ({
+      id: `gid://shopify/FulfillmentOrder/${id}`,
+      assignedLocation: { location: { id: 'gid://shopify/Location/1' } },
+      lineItems
+    });
+
+    client.query.mockImplementation(async (query, variables) => {
+      if (query.includes('getOrderWithFulfillmentOrders')) {
+        return {
+          order: {
+            id: 'gid://shopify/Order/1',
+            lineItems: page([{ id: 'li-1' }], 'li-cursor'),
+            fulfillmentOrders: page([fo(10, page([lineItem(100)], 'foli-cursor'))], 'fo-cursor')
+          }
+        };
+      }
+      if (query.includes('getOrderLineItems')) {
+        return { order: { lineItems: page([{ id: 'li-2' }]) } };
+      }
+      if (query.includes('getOrderFulfillmentOrders')) {
+        expect(variables.after).toBe('fo-cursor');
+        return { order: { fulfillmentOrders: page([fo(11, page([lineItem(110)]))]) } };
+      }
+      if (query.includes('getFulfillmentOrderLineItems')) {
+        expect(variables).toEqual({ id: 'gid://shopify/FulfillmentOrder/10', after: 'foli-cursor' });
+        return { fulfillmentOrder: { lineItems: page([lineItem(101)]) } };
+      }
+      throw new Error('Unexpected query');
+    });
+
+    const { order, fulfillmentOrders } = await orderService.fetchOrderWithFulfillmentOrders('1');
+
+    expect(order.lineItems.nodes.map(item => item.id)).toEqual(['li-1', 'li-2']);
+    expect(fulfillmentOrders.map(item => item.id)).toEqual([
+      'gid://shopify/FulfillmentOrder/10',
+      'gid://shopify/FulfillmentOrder/11'
+    ]);
+    expect(fulfillmentOrders[0].lineItems.nodes).toHaveLength(2);
+  });
+});
+
+describe('OrderService merging after consolidation', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('Groups mergeable fulfillment orders by location', () => {
+    const groups = orderService.planMerges([
+      fulfillmentOrder(10, '123', [[1, 1]], 'OPEN', ['MERGE']),
+      fulfillmentOrder(11, '123', [[2, 1]], 'OPEN', ['MOVE', 'MERGE']),
+      fulfillmentOrder(12, '123', [[3, 1]], 'OPEN', ['MOVE']),
+      fulfillmentOrder(13, '123', [[4, 1]], 'CLOSED', ['MERGE']),
+      fulfillmentOrder(14, '999', [[5, 1]], 'OPEN', ['MERGE'])
+    ]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].locationId).toBe('123');
+    expect(groups[0].fulfillmentOrders.map(fo => fo.id.split('/').pop())).toEqual(['10', '11']);
+  });
+
+  test('Merges every remaining line item of the group', async () => {
+    client.query.mockResolvedValue({
+      fulfillmentOrderMerge: {
+        fulfillmentOrderMerges: [{ fulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/30' } }],
+        userErrors: []
+      }
+    });
+
+    const result = await orderService.mergeFulfillmentOrders([
+      fulfillmentOrder(10, '123', [[1, 2]]),
+      fulfillmentOrder(11, '123', [[2, 1], [3, 0]])
+    ]);
+
+    expect(client.query.mock.calls[0][1].fulfillmentOrderMergeInputs[0].mergeIntents).toEqual([
+      {
+        fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/10',
+        fulfillmentOrderLineItems: [{ id: 'gid://shopify/FulfillmentOrderLineItem/100', quantity: 2 }]
+      },
+      {
+        fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/11',
+        fulfillmentOrderLineItems: [{ id: 'gid://shopify/FulfillmentOrderLineItem/110', quantity: 1 }]
+      }
+    ]);
+    expect(result.mergedFulfillmentOrderIds).toEqual(['gid://shopify/FulfillmentOrder/30']);
+  });
+});
@@ -0,0 +1,249 @@
+const { RollbackService } = require('../services/rollbackService');
+const { AuditTrail } = require('../services/auditTrail');
+const { OrderService } = require('../services/orderService');
+const { ShopifyClient } = require('../services/shopifyClient');
+const { MemoryAuditStore } = require('../stores');
+const shopRegistry = require('../services/shopRegistry');
+const jobQueue = require('../services/jobQueue');
+const jobProcessor = require('../services/jobProcessor');
+const webhookHandler = require('../handlers/webhookHandler');
+
+const fulfillmentOrder = (id, locationId, status = 'OPEN') => ({
+  id: `gid://shopify/FulfillmentOrder/${id}`,
+  status,
+  supportedActions: [{ action: 'MOVE' }],
+  assignedLocation: { location: { id: `gid://shopify/Location/${locationId}` } },
+  lineItems: { nodes: [] }
+});
+
+describe('RollbackService', () => {
+  let audit;
+  let orders;
+  let rollbackService;
+
+  beforeEach(() => {
+    audit = new AuditTrail(new MemoryAuditStore());
+    orders = {
+      fetchFulfillmentOrder: jest.fn(),
+      moveFulfillmentOrder: jest.fn(async id => ({ fulfillmentOrderId: id })),
+      fetchCurrentFingerprint: jest.fn(async () => 'rolled-back'),
+      client: { shopDomain: 'test.myshopify.com' },
+      getAssignedLocationId: OrderService.prototype.getAssignedLocationId
+    };
+    rollbackService = new RollbackService({ getOrderService: () => orders }, audit, { setOrderFingerprint: jest.fn() });
+
+    ['10', '11'].forEach(id => audit.recordMove({
+      orderId: '1001',
+      orderName: '#1001',
+      fulfillmentOrderId: `gid://shopify/FulfillmentOrder/${id}`,
+      movedFulfillmentOrderId: `gid://shopify/FulfillmentOrder/2${id}`,
+      fromLocationId: '999',
+      toLocationId: '123',
+      outcome: 'moved'
+    }));
+  });
+
+  test('Moves fulfillment orders back unless fulfillment has started', async () => {
+    orders.fetchFulfillmentOrder.mockImplementation(async id =>
+      id.endsWith('210') ? fulfillmentOrder(210, '123') : fulfillmentOrder(211, '123', 'IN_PROGRESS')
+    );
+
+    const result = await rollbackService.rollback({ orderName: '1001' });
+
+    expect(orders.moveFulfillmentOrder).toHaveBeenCalledTimes(1);
+    expect(orders.moveFulfillmentOrder).toHaveBeenCalledWith('gid://shopify/FulfillmentOrder/210', '999');
+    expect(result.rolledBack).toHaveLength(1);
+    expect(result.skipped[0].reason).toBe('Fulfillment is already in progress');
+    expect(audit.search({ action: 'rollback' }).map(entry => entry.outcome).sort()).toEqual(['rolled_back', 'skipped']);
+
+    // Already rolled back moves are not picked up again
+    orders.moveFulfillmentOrder.mockClear();
+    await rollbackService.rollback({ orderName: '1001' });
+    expect(orders.moveFulfillmentOrder.mock.calls.map(call => call[0])).not.toContain('gid://shopify/FulfillmentOrder/210');
+  });
+
+  test('Dry run neither moves nor records anything', async () => {
+    orders.fetchFulfillmentOrder.mockImplementation(async id => fulfillmentOrder(id.split('/').pop(), '123'));
+
+    const result = await rollbackService.rollback({ from: '2000-01-01' }, { dryRun: true });
+
+    expect(result.rolledBack.map(entry => entry.outcome)).toEqual(['planned', 'planned']);
+    expect(orders.moveFulfillmentOrder).not.toHaveBeenCalled();
+    expect(audit.search({ action: 'rollback' })).toHaveLength(0);
+  });
+
+  test('Stores the fingerprint the rollback left, once per order and under its shop', async () => {
+    orders.fetchFulfillmentOrder.mockImplementation(async id => fulfillmentOrder(id.split('/').pop(), '123'));
+
+    await rollbackService.rollback({ orderName: '1001' });
+
+    expect(orders.fetchCurrentFingerprint).toHaveBeenCalledTimes(1);
+    expect(rollbackService.queue.setOrderFingerprint).toHaveBeenCalledWith('1001', 'test.myshopify.com', 'rolled-back');
+  });
+
+  test('Requires an order or a time window', async () => {
+    await expect(rollbackService.rollback({})).rejects.toThrow('An order or a time window is required');
+  });
+});
+
+describe('RollbackService after a merge', () => {
+  const location = id => ({ location: { id: `gid://shopify/Location/${id}`, name: `Location ${id}` } });
+  const mergeable = (id, locationId, lineItems) => ({
+    id: `gid://shopify/FulfillmentOrder/${id}`,
+    status: 'OPEN',
+    supportedActions: [{ action: 'MOVE' }, { action: 'MERGE' }],
+    assignedLocation: location(locationId),
+    lineItems: {
+      nodes: lineItems.map(([lineItemId, remainingQuantity], index) => ({
+        id: `gid://shopify/FulfillmentOrderLineItem/${id}${index}`,
+        remainingQuantity,
+        lineItem: { id: `gid://shopify/LineItem/${lineItemId}` }
+      }))
+    }
+  });
+
+  test('Moves the line items a merged fulfillment order contributed back to their origin', async () => {
+    const audit = new AuditTrail(new MemoryAuditStore());
+    // Real pagination helpers on top of a mocked transport
+    const client = { query: jest.fn(), shopDomain: 'test.myshopify.com' };
+    client.paginate = ShopifyClient.prototype.paginate.bind(client);
+    client.completeConnection = ShopifyClient.prototype.completeConnection.bind(client);
+    const orders = new OrderService(undefined, client, audit, { alertMoveFailed: jest.fn() });
+    const order = { id: 'gid://shopify/Order/1001', name: '#1001' };
+    const target = { rule: 'default', locationId: '123' };
+
+    // Move FO 10 from 999 to 123, then merge it with FO 11 that was already there
+    client.query
+      .mockResolvedValueOnce({
+        fulfillmentOrderMove: {
+          originalFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/10', status: 'CLOSED', assignedLocation: location(999) },
+          movedFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/20', status: 'OPEN', assignedLocation: location(123) },
+          remainingFulfillmentOrder: null,
+          userErrors: []
+        }
+      })
+      .mockResolvedValueOnce({
+        order: {
+          ...order,
+          fulfillmentOrders: { nodes: [mergeable(20, 123, [[1, 2]]), mergeable(11, 123, [[2, 1]])] },
+          lineItems: { nodes: [] }
+        }
+      })
+      .mockResolvedValueOnce({
+        fulfillmentOrderMerge: {
+          fulfillmentOrderMerges: [{ fulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/30' } }],
+          userErrors: []
+        }
+      });
+
+    const consolidation = await orders.consolidateFulfillmentOrders(order, [mergeable(10, 999, [[1, 2]])], target);
+    orders.recordMoveAudit(order, target, consolidation);
+
+    const [merge] = audit.search({ action: 'merge' });
+    const [move] = audit.search({ action: 'move' });
+    expect(merge).toMatchObject({
+      fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/30',
+      toLocationId: '123',
+      lineItems: [
+        { fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/20', lineItemId: 'gid://shopify/LineItem/1', quantity: 2, moveEntryId: move.id },
+        { fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/11', lineItemId: 'gid://shopify/LineItem/2', quantity: 1, moveEntryId: null }
+      ]
+    });
+
+    // FO 20 no longer exists; its line item now sits on the merged FO 30
+    client.query.mockReset();
+    client.query
+      .mockResolvedValueOnce({ fulfillmentOrder: mergeable(30, 123, [[2, 1], [1, 2]]) })
+      .mockResolvedValueOnce({
+        fulfillmentOrderMove: {
+          originalFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/30', status: 'OPEN', assignedLocation: location(123) },
+          movedFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/40', status: 'OPEN', assignedLocation: location(999) },
+          remainingFulfillmentOrder: null,
+          userErrors: []
+        }
+      });
+
+    const rollbackService = new RollbackService({ getOrderService: () => orders }, audit, { setOrderFingerprint: jest.fn() });
+    const result = await rollbackService.rollback({ orderId: '1001' });
+
+    expect(client.query.mock.calls[1][1]).toEqual({
+      id: 'gid://shopify/FulfillmentOrder/30',
+      newLocationId: 'gid://shopify/Location/999',
+      fulfillmentOrderLineItems: [{ id: 'gid://shopify/FulfillmentOrderLineItem/301', quantity: 2 }]
+    });
+    expect(result.rolledBack).toEqual([expect.objectContaining({
+      rollbackOf: move.id,
+      mergeEntryId: merge.id,
+      fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/30',
+      movedFulfillmentOrderId: 'gid://shopify/FulfillmentOrder/40',
+      toLocationId: '999',
+      outcome: 'rolled_back'
+    })]);
+  });
+});
+
+describe('RollbackService and later order updates', () => {
+  const location = id => ({ location: { id: `gid://shopify/Location/${id}`, name: `Location ${id}` } });
+
+  test('The orders/updated webhook caused by a rollback does not consolidate the order again', async () => {
+    const audit = new AuditTrail(new MemoryAuditStore());
+    const client = { query: jest.fn(), shopDomain: 'test.myshopify.com' };
+    client.paginate = ShopifyClient.prototype.paginate.bind(client);
+    client.completeConnection = ShopifyClient.prototype.completeConnection.bind(client);
+    const orders = new OrderService(undefined, client, audit, { alertMoveFailed: jest.fn() });
+    const getOrderService = jest.spyOn(shopRegistry, 'getOrderService').mockReturnValue(orders);
+    const rolledBack = {
+      id: 'gid://shopify/Order/1001',
+      name: '#1001',
+      // Split again: FO 40 is back at 999, FO 11 stayed at the target
+      fulfillmentOrders: { nodes: [fulfillmentOrder(40, '999'), fulfillmentOrder(11, '123456789')] },
+      lineItems: { nodes: [] }
+    };
+
+    audit.recordMove({
+      shopDomain: 'test.myshopify.com',
+      orderId: '1001',
+      orderName: '#1001',
+      fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/10',
+      movedFulfillmentOrderId: 'gid://shopify/FulfillmentOrder/20',
+      fromLocationId: '999',
+      toLocationId: '123456789',
+      outcome: 'moved'
+    });
+
+    client.query
+      .mockResolvedValueOnce({ fulfillmentOrder: fulfillmentOrder(20, '123456789') })
+      .mockResolvedValueOnce({
+        fulfillmentOrderMove: {
+          originalFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/20', status: 'CLOSED', assignedLocation: location(123456789) },
+          movedFulfillmentOrder: { id: 'gid://shopify/FulfillmentOrder/40', status: 'OPEN', assignedLocation: location(999) },
+          remainingFulfillmentOrder: null,
+          userErrors: []
+        }
+      })
+      .mockResolvedValueOnce({ order: rolledBack });
+
+    try {
+      const rollback = await new RollbackService(shopRegistry, audit).rollback({ orderId: '1001' });
+      expect(rollback.rolledBack).toHaveLength(1);
+
+      // Shopify reports the rollback's own move as an order update
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await webhookHandler.handleOrderUpdate({
+        body: { id: 1001, order_number: 1001 },
+        shop: { shopDomain: 'test.myshopify.com' },
+        get: () => undefined
+      }, res);
+      const { jobId } = res.json.mock.calls[0][0];
+
+      client.query.mockClear();
+      client.query.mockResolvedValueOnce({ order: rolledBack });
+      await jobProcessor.processJob(jobQueue.getJob(jobId));
+
+      expect(jobQueue.getJob(jobId).result.reason).toMatch(/unchanged since the last evaluation/);
+      expect(client.query).toHaveBeenCalledTimes(1);
+    } finally {
+      getOrderService.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,46 @@
+const RoutingEngine = require('../services/routingEngine');
+
+describe('RoutingEngine', () => {
+  const rules = [
+    { name: 'quebec', locationId: 'gid://shopify/Location/300', match: { countries: ['CA'], provinces: ['QC'] } },
+    { name: 'canada', locationId: '200', match: { countries: ['CA'] } },
+    { name: 'wholesale', locationId: '400', match: { tags: ['Wholesale'], channels: ['pos'] } },
+    { name: 'acme-vendor', locationId: '500', match: { vendors: ['Acme'] } },
+    { name: 'default', locationId: '100' }
+  ];
+  const engine = new RoutingEngine(rules);
+
+  test('First matching rule wins', () => {
+    const order = { shippingAddress: { countryCode: 'CA', provinceCode: 'QC' } };
+    expect(engine.selectTarget(order)).toEqual({ rule: 'quebec', locationId: '300' });
+  });
+
+  test('All criteria of a rule must match', () => {
+    const order = { tags: ['wholesale'], channelInformation: { channelDefinition: { handle: 'web' } } };
+    expect(engine.selectTarget(order).rule).toBe('default');
+  });
+
+  test('REST webhook payloads are supported', () => {
+    const order = {
+      shipping_address: { country_code: 'US' },
+      tags: 'vip, wholesale',
+      source_name: 'pos',
+      line_items: [{ sku: 'A-1', vendor: 'Other' }]
+    };
+    expect(engine.selectTarget(order).rule).toBe('wholesale');
+  });
+
+  test('Line item vendors are matched', () => {
+    const order = { lineItems: { edges: [{ node: { sku: 'B-2', vendor: 'ACME' } }] } };
+    expect(engine.selectTarget(order)).toEqual({ rule: 'acme-vendor', locationId: '500' });
+  });
+
+  test('Default rule is appended from the USA location', () => {
+    const loaded = RoutingEngine.loadRules({ rules: JSON.stringify([rules[1]]) }, '100');
+    expect(loaded[loaded.length - 1]).toEqual({ name: 'default', locationId: '100' });
+  });
+
+  test('Unknown criteria are rejected', () => {
+    expect(() => new RoutingEngine([{ locationId: '1', match: { weight: [1] } }])).toThrow('unknown criterion');
+  });
+});
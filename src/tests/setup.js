@@ -1,9 +1,14 @@
 // Test setup configuration
 process.env.NODE_ENV = 'test';
+process.env.SHOPIFY_API_KEY = 'test_api_key';
+process.env.SHOPIFY_API_SECRET = 'test_api_secret';
 process.env.SHOPIFY_SHOP_DOMAIN = 'test.myshopify.com';
 process.env.SHOPIFY_ACCESS_TOKEN = 'test_token';
 process.env.USA_LOCATION_ID = '123456789';
 process.env.WEBHOOK_SECRET = 'test_secret';
+process.env.JOB_STORE_DRIVER = 'memory';
+process.env.AUDIT_STORE_DRIVER = 'memory';
+process.env.SESSION_STORE_DRIVER = 'memory';
 
 // Suppress console logs during tests
 global.console = {
@@ -0,0 +1,69 @@
+const { ShopRegistry } = require('../services/shopRegistry');
+const { SessionService } = require('../services/sessionService');
+const { MemorySessionStore } = require('../stores');
+
+describe('ShopRegistry', () => {
+  const registry = new ShopRegistry([
+    { shopDomain: 'https://East.myshopify.com/', accessToken: 'token-east', defaultLocationId: '100' },
+    {
+      shopDomain: 'west.myshopify.com',
+      accessToken: 'token-west',
+      defaultLocationId: '200',
+      rules: [{ name: 'canada', locationId: '210', match: { countries: ['CA'] } }]
+    }
+  ]);
+
+  test('Finds shops by normalized domain and requires one when several are registered', () => {
+    expect(registry.getShop('EAST.myshopify.com').defaultLocationId).toBe('100');
+    expect(registry.getShop('north.myshopify.com')).toBeNull();
+    expect(registry.getShop(undefined)).toBeNull();
+  });
+
+  test('Each shop gets its own credentials and routing rules', () => {
+    const east = registry.getOrderService('east.myshopify.com');
+    const west = registry.getOrderService('west.myshopify.com');
+    const canadianOrder = { shippingAddress: { countryCode: 'CA' } };
+
+    expect(east.client.accessToken).toBe('token-east');
+    expect(west.client.shopDomain).toBe('west.myshopify.com');
+    expect(east.routingEngine.selectTarget(canadianOrder)).toEqual({ rule: 'default', locationId: '100' });
+    expect(west.routingEngine.selectTarget(canadianOrder)).toEqual({ rule: 'canada', locationId: '210' });
+    expect(registry.getOrderService('east.myshopify.com')).toBe(east);
+    expect(() => registry.getOrderService('north.myshopify.com')).toThrow('Unknown shop: north.myshopify.com');
+  });
+
+  test('Rejects incomplete and duplicate entries', () => {
+    expect(() => new ShopRegistry([{ accessToken: 'x' }])).toThrow('missing shopDomain');
+    expect(() => new ShopRegistry([
+      { shopDomain: 'a.myshopify.com', accessToken: 'x' },
+      { shopDomain: 'A.myshopify.com', accessToken: 'y' }
+    ])).toThrow('a.myshopify.com more than once');
+  });
+
+  test('Installed shops use their offline token and the global settings', () => {
+    const sessions = new SessionService(new MemorySessionStore());
+    const installedRegistry = new ShopRegistry([{ shopDomain: 'east.myshopify.com', defaultLocationId: '100' }], sessions);
+
+    expect(() => installedRegistry.getOrderService('east.myshopify.com')).toThrow('No access token for shop east.myshopify.com');
+
+    sessions.saveSession({ id: 'offline_east.myshopify.com', shop: 'east.myshopify.com', isOnline: false, accessToken: 'oauth-east' });
+    sessions.saveSession({ id: 'offline_south.myshopify.com', shop: 'south.myshopify.com', isOnline: false, accessToken: 'oauth-south' });
+
+    expect(installedRegistry.getOrderService('east.myshopify.com').client.accessToken).toBe('oauth-east');
+    expect(installedRegistry.getShop('south.myshopify.com')).toEqual(expect.objectContaining({
+      accessToken: 'oauth-south',
+      defaultLocationId: '123456789'
+    }));
+    expect(installedRegistry.listShops().map(shop => shop.shopDomain)).toEqual(['east.myshopify.com', 'south.myshopify.com']);
+
+    sessions.revokeShop('south.myshopify.com');
+    expect(installedRegistry.getShop('south.myshopify.com')).toBeNull();
+  });
+
+  test('Without a registry the legacy single shop is served', () => {
+    const legacy = new ShopRegistry(ShopRegistry.loadShops({}));
+
+    expect(legacy.listShops()).toHaveLength(1);
+    expect(legacy.getShop(undefined).defaultLocationId).toBe('123456789');
+  });
+});
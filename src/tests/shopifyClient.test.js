@@ -0,0 +1,127 @@
+const { ShopifyClient } = require('../services/shopifyClient');
+
+const jsonResponse = (body, status = 200, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => headers[name] },
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+const cost = (requestedQueryCost, currentlyAvailable) => ({
+  cost: {
+    requestedQueryCost,
+    actualQueryCost: requestedQueryCost,
+    throttleStatus: { maximumAvailable: 1000, currentlyAvailable, restoreRate: 50 }
+  }
+});
+
+describe('ShopifyClient', () => {
+  let fetch;
+  let sleep;
+  let client;
+
+  beforeEach(() => {
+    fetch = jest.fn();
+    sleep = jest.fn().mockResolvedValue();
+    client = new ShopifyClient({ shopDomain: 'test.myshopify.com', accessToken: 'token', fetch, sleep });
+  });
+
+  test('Returns data and records query cost', async () => {
+    fetch.mockResolvedValue(jsonResponse({ data: { shop: { name: 'Test' } }, extensions: cost(10, 990) }));
+
+    await expect(client.query('{ shop { name } }')).resolves.toEqual({ shop: { name: 'Test' } });
+
+    expect(fetch.mock.calls[0][0]).toBe('https://test.myshopify.com/admin/api/2023-10/graphql.json');
+    expect(client.getStats()).toMatchObject({ calls: 1, actualQueryCost: 10, retries: 0 });
+  });
+
+  test('Waits proactively when the bucket is too low for a known query', async () => {
+    fetch.mockResolvedValue(jsonResponse({ data: {}, extensions: cost(200, 100) }));
+
+    await client.query('query big { orders }');
+    await client.query('query big { orders }');
+
+    // 100 points short at 50 points/second
+    expect(sleep).toHaveBeenCalledTimes(1);
+    expect(sleep.mock.calls[0][0]).toBeGreaterThan(1900);
+    expect(client.getStats().throttleWaits).toBe(1);
+  });
+
+  test('Retries THROTTLED errors, 429 and 5xx responses', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }] }))
+      .mockResolvedValueOnce(jsonResponse({}, 429, { 'Retry-After': '2' }))
+      .mockResolvedValueOnce(jsonResponse({}, 502))
+      .mockResolvedValueOnce(jsonResponse({ data: { ok: true } }));
+
+    await expect(client.query('{ ok }')).resolves.toEqual({ ok: true });
+
+    expect(fetch).toHaveBeenCalledTimes(4);
+    expect(sleep.mock.calls[1][0]).toBe(2000);
+    expect(client.getStats()).toMatchObject({ retries: 3, throttledResponses: 2 });
+  });
+
+  test('Retries a mutation only when it was throttled', async () => {
+    const mutation = 'mutation move($id: ID!) { fulfillmentOrderMove(id: $id) { userErrors { message } } }';
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }] }))
+      .mockResolvedValueOnce(jsonResponse({}, 429))
+      .mockResolvedValueOnce(jsonResponse({}, 502))
+      .mockRejectedValueOnce(new TypeError('fetch failed'));
+
+    await expect(client.query(mutation, { id: '1' })).rejects.toThrow('status: 502');
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    await expect(client.query(mutation, { id: '1' })).rejects.toThrow('fetch failed');
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('Times out requests and retries queries that timed out', async () => {
+    const timeout = Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' });
+    fetch
+      .mockRejectedValueOnce(timeout)
+      .mockResolvedValueOnce(jsonResponse({ data: { ok: true } }));
+
+    await expect(client.query('{ ok }')).resolves.toEqual({ ok: true });
+
+    expect(fetch.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+    expect(client.getStats().retries).toBe(1);
+
+    fetch.mockRejectedValueOnce(timeout);
+    await expect(client.query('mutation { ok }')).rejects.toThrow('Shopify did not respond within 30s');
+  });
+
+  test('Does not retry other GraphQL errors', async () => {
+    fetch.mockResolvedValue(jsonResponse({ errors: [{ message: 'Field does not exist' }] }));
+
+    await expect(client.query('{ bogus }')).rejects.toThrow('GraphQL errors');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('Gives up after maxRetries', async () => {
+    client.maxRetries = 2;
+    fetch.mockResolvedValue(jsonResponse({}, 503));
+
+    await expect(client.query('{ ok }')).rejects.toThrow('status: 503');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('Alerts on rejected credentials but not on other failures', async () => {
+    const notifier = { alertAuthFailure: jest.fn() };
+    client = new ShopifyClient({ shopDomain: 'test.myshopify.com', accessToken: 'token', fetch, sleep, notifier });
+
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ errors: 'Invalid API key or access token' }, 401))
+      .mockResolvedValueOnce(jsonResponse({ errors: [{ message: 'Access denied', extensions: { code: 'ACCESS_DENIED' } }] }))
+      .mockResolvedValueOnce(jsonResponse({ errors: [{ message: 'Field does not exist' }] }));
+
+    await expect(client.query('{ a }')).rejects.toThrow('status: 401');
+    await expect(client.query('{ b }')).rejects.toThrow('ACCESS_DENIED');
+    await expect(client.query('{ c }')).rejects.toThrow('GraphQL errors');
+
+    expect(notifier.alertAuthFailure).toHaveBeenCalledTimes(2);
+    expect(notifier.alertAuthFailure.mock.calls[0][0]).toMatchObject({ shopDomain: 'test.myshopify.com', status: 401 });
+    expect(notifier.alertAuthFailure.mock.calls[1][0]).toMatchObject({ status: 'ACCESS_DENIED' });
+  });
+});
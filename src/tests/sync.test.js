@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const consolidation = require('../../scripts/consolidation');
+const { syncOrders } = require('../../scripts/sync');
+
+const order = (number, updatedAt, displayFulfillmentStatus = 'UNFULFILLED') => ({
+  id: `gid://shopify/Order/${number}`,
+  name: `#${number}`,
+  updatedAt,
+  displayFulfillmentStatus
+});
+
+describe('Incremental sync', () => {
+  let stateFile;
+  let orders;
+  let failing;
+
+  beforeEach(() => {
+    stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sync-')), 'sync-state.json');
+    orders = [
+      order(1001, '2025-06-01T10:00:00Z'),
+      order(1002, '2025-06-01T10:05:00Z'),
+      order(1003, '2025-06-01T10:06:00Z', 'FULFILLED'),
+      order(1004, '2025-06-01T10:09:00Z')
+    ];
+    failing = new Set(['gid://shopify/Order/1002']);
+
+    // Two orders per page, oldest update first
+    jest.spyOn(consolidation, 'fetchOrderPage').mockImplementation(async (search, { after }) => {
+      const start = after ? Number(after) : 0;
+      return {
+        orders: orders.slice(start, start + 2).map(o => ({ ...o })),
+        hasNextPage: start + 2 < orders.length,
+        endCursor: String(start + 2)
+      };
+    });
+    jest.spyOn(consolidation, 'fetchOrder').mockImplementation(async id => ({ order: orders.find(o => o.id === id), fulfillmentOrders: [] }));
+    jest.spyOn(consolidation, 'consolidateOrder').mockImplementation(async ({ order: o }) => {
+      if (failing.has(o.id)) throw new Error('Fulfillment order cannot be moved');
+      return { orderId: o.id, orderName: o.name, action: 'consolidated', moved: ['fo'], planned: ['fo'], errors: [] };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Searches on updated_at below the watermark and holds it at the first failed order', async () => {
+    const first = await syncOrders({ stateFile, since: '2025-06-01T09:00:00Z', overlapMinutes: 10 });
+
+    expect(consolidation.fetchOrderPage).toHaveBeenCalledWith("updated_at:>='2025-06-01T08:50:00.000Z'",
+      expect.objectContaining({ sortKey: 'UPDATED_AT' }));
+    expect(first).toEqual(expect.objectContaining({
+      scanned: 4,
+      failed: 1,
+      actions: { consolidated: 2, failed: 1, ignored: 1 },
+      watermark: '2025-06-01T10:05:00Z'
+    }));
+
+    // The retry only consolidates the failed order; the rest of the overlap window is skipped
+    failing.clear();
+    consolidation.consolidateOrder.mockClear();
+    const second = await syncOrders({ stateFile, overlapMinutes: 10 });
+
+    expect(consolidation.fetchOrderPage).toHaveBeenLastCalledWith("updated_at:>='2025-06-01T09:55:00.000Z'", expect.anything());
+    expect(consolidation.consolidateOrder.mock.calls.map(([{ order: o }]) => o.id)).toEqual(['gid://shopify/Order/1002']);
+    expect(second).toEqual(expect.objectContaining({ alreadyHandled: 3, failed: 0, watermark: '2025-06-01T10:09:00Z' }));
+
+    // An order updated again is consolidated again
+    orders.push(order(1001, '2025-06-01T10:12:00Z'));
+    orders.shift();
+    consolidation.consolidateOrder.mockClear();
+    await syncOrders({ stateFile, overlapMinutes: 10 });
+    expect(consolidation.consolidateOrder.mock.calls.map(([{ order: o }]) => o.id)).toEqual(['gid://shopify/Order/1001']);
+  });
+
+  test('Stops holding the watermark back for an order that keeps failing', async () => {
+    await syncOrders({ stateFile, since: '2025-06-01T09:00:00Z' });
+    await syncOrders({ stateFile });
+    const third = await syncOrders({ stateFile });
+
+    expect(third.gaveUp).toEqual([expect.objectContaining({ orderId: 'gid://shopify/Order/1002', attempts: 3 })]);
+    expect(third.watermark).toBe('2025-06-01T10:09:00Z');
+    expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).failures).toEqual({});
+  });
+
+  test('A dry run leaves the watermark untouched', async () => {
+    await syncOrders({ stateFile, since: '2025-06-01T09:00:00Z', dryRun: true });
+
+    expect(fs.existsSync(stateFile)).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const webhookHandler = require('../handlers/webhookHandler');
+const shopRegistry = require('../services/shopRegistry');
+
+const sign = (body, secret = 'test_secret') => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+const mockRequest = (rawBody, headers = {}) => ({
+  rawBody,
+  path: '/webhooks/orders/create',
+  get: name => headers[name]
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Webhook HMAC verification', () => {
+  // Key order and whitespace differ from what JSON.stringify would produce
+  const rawBody = Buffer.from('{"id": 1001,  "order_number":1001}');
+
+  test('Accepts a signature computed over the raw body', () => {
+    expect(webhookHandler.verifyWebhook(rawBody, sign(rawBody))).toBe(true);
+  });
+
+  test('Rejects a signature computed over re-serialized JSON', () => {
+    const reserialized = JSON.stringify(JSON.parse(rawBody));
+    expect(webhookHandler.verifyWebhook(rawBody, sign(reserialized))).toBe(false);
+  });
+
+  test('Rejects missing and malformed signatures without throwing', () => {
+    expect(webhookHandler.verifyWebhook(rawBody, undefined)).toBe(false);
+    expect(webhookHandler.verifyWebhook(rawBody, '')).toBe(false);
+    expect(webhookHandler.verifyWebhook(rawBody, 'c2hvcnQ=')).toBe(false);
+  });
+
+  test('Middleware responds 401 for an invalid signature', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    webhookHandler.verifyRequest(mockRequest(rawBody, { 'X-Shopify-Hmac-Sha256': 'bogus' }), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('Accepts webhooks signed with the app secret', () => {
+    expect(webhookHandler.verifyWebhook(rawBody, sign(rawBody, 'test_api_secret'))).toBe(true);
+    expect(webhookHandler.verifyWebhook(rawBody, sign(rawBody, 'another_secret'))).toBe(false);
+  });
+
+  test('Verifies a registry shop with its own webhook secret', () => {
+    const getShop = jest.spyOn(shopRegistry, 'getShop').mockReturnValue({
+      shopDomain: 'custom.myshopify.com',
+      webhookSecret: 'custom_app_secret'
+    });
+    const next = jest.fn();
+
+    try {
+      webhookHandler.verifyRequest(mockRequest(rawBody, {
+        'X-Shopify-Hmac-Sha256': sign(rawBody, 'custom_app_secret'),
+        'X-Shopify-Shop-Domain': 'custom.myshopify.com'
+      }), mockResponse(), next);
+
+      expect(getShop).toHaveBeenCalledWith('custom.myshopify.com');
+      expect(next).toHaveBeenCalled();
+    } finally {
+      getShop.mockRestore();
+    }
+  });
+
+  test('Middleware passes a valid request through', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    webhookHandler.verifyRequest(mockRequest(rawBody, { 'X-Shopify-Hmac-Sha256': sign(rawBody) }), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('Webhook shop routing', () => {
+  test('Resolves the single registered shop without a shop header', () => {
+    const req = mockRequest(Buffer.from('{}'));
+    const next = jest.fn();
+
+    webhookHandler.resolveShop(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.shop.defaultLocationId).toBe('123456789');
+  });
+
+  test('Responds 404 for a shop that is not registered', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    webhookHandler.resolveShop(mockRequest(Buffer.from('{}'), { 'X-Shopify-Shop-Domain': 'other.myshopify.com' }), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
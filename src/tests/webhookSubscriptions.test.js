@@ -0,0 +1,64 @@
+const { WebhookSubscriptions } = require('../services/webhookSubscriptions');
+
+const manifest = [
+  { topic: 'ORDERS_CREATE', path: '/webhooks/orders/create' },
+  { topic: 'ORDERS_UPDATED', path: '/webhooks/orders/updated' },
+  { topic: 'APP_UNINSTALLED', path: '/webhooks/app/uninstalled' }
+];
+
+const subscription = (id, topic, callbackUrl) => ({
+  id: `gid://shopify/WebhookSubscription/${id}`,
+  topic,
+  format: 'JSON',
+  callbackUrl
+});
+
+describe('WebhookSubscriptions', () => {
+  test('Plans creates, re-points and deletes against the manifest', () => {
+    const webhooks = new WebhookSubscriptions({}, manifest);
+
+    const plan = webhooks.plan([
+      subscription(1, 'ORDERS_CREATE', 'https://old-app.herokuapp.com/webhooks/orders/create'),
+      subscription(2, 'ORDERS_CREATE', 'https://old-app.herokuapp.com/webhooks/orders/create'),
+      subscription(3, 'APP_UNINSTALLED', 'https://new-app.vercel.app/webhooks/app/uninstalled'),
+      subscription(4, 'PRODUCTS_UPDATE', 'https://old-app.herokuapp.com/webhooks/products/update')
+    ], 'https://new-app.vercel.app/');
+
+    expect(plan.create).toEqual([
+      { topic: 'ORDERS_UPDATED', callbackUrl: 'https://new-app.vercel.app/webhooks/orders/updated' }
+    ]);
+    expect(plan.update).toEqual([expect.objectContaining({
+      id: 'gid://shopify/WebhookSubscription/1',
+      callbackUrl: 'https://new-app.vercel.app/webhooks/orders/create'
+    })]);
+    expect(plan.delete.map(({ id, reason }) => [id, reason])).toEqual([
+      ['gid://shopify/WebhookSubscription/2', 'duplicate'],
+      ['gid://shopify/WebhookSubscription/4', 'not in manifest']
+    ]);
+    expect(plan.unchanged.map(({ topic }) => topic)).toEqual(['APP_UNINSTALLED']);
+  });
+
+  test('Sync applies the plan and reports rejected changes', async () => {
+    const client = {
+      paginate: jest.fn().mockResolvedValue([]),
+      query: jest.fn(async (mutation, variables) => ({
+        webhookSubscriptionCreate: {
+          userErrors: variables.topic === 'APP_UNINSTALLED' ? [{ field: ['callbackUrl'], message: 'Address is invalid' }] : []
+        }
+      }))
+    };
+    const webhooks = new WebhookSubscriptions(client, manifest);
+
+    const dryRun = await webhooks.sync('https://new-app.vercel.app', { dryRun: true });
+    expect(dryRun.create).toHaveLength(3);
+    expect(client.query).not.toHaveBeenCalled();
+
+    const result = await webhooks.sync('https://new-app.vercel.app');
+    expect(client.query).toHaveBeenCalledTimes(3);
+    expect(client.query.mock.calls[0][1]).toEqual({
+      topic: 'ORDERS_CREATE',
+      webhookSubscription: { callbackUrl: 'https://new-app.vercel.app/webhooks/orders/create', format: 'JSON' }
+    });
+    expect(result.errors).toEqual([{ action: 'create', topic: 'APP_UNINSTALLED', error: 'Address is invalid' }]);
+  });
+});
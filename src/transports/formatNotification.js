@@ -0,0 +1,28 @@
+/**
+ * Plain-text body shared by the chat and email transports
+ * @param {Object} notification - { title, text, fields, suppressed, shopDomain, timestamp }
+ * @returns {string}
+ */
+function toPlainText(notification) {
+  const lines = [];
+
+  if (notification.text) {
+    lines.push(notification.text);
+  }
+
+  Object.entries(notification.fields || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([label, value]) => lines.push(`${label}: ${value}`));
+
+  if (notification.shopDomain) {
+    lines.push(`Shop: ${notification.shopDomain}`);
+  }
+
+  if (notification.suppressed > 0) {
+    lines.push(`(${notification.suppressed} similar alert(s) held back since the last one)`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { toPlainText };
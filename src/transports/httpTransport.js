@@ -0,0 +1,29 @@
+const TIMEOUT_MS = 10000;
+
+/**
+ * POSTs each notification as JSON to a generic endpoint
+ */
+class HttpTransport {
+  constructor(url, options = {}) {
+    this.name = 'http';
+    this.url = url;
+    this.headers = options.headers || {};
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.timeoutMs = options.timeoutMs ?? TIMEOUT_MS;
+  }
+
+  async send(notification) {
+    const response = await this.fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(notification),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Notification endpoint responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = HttpTransport;
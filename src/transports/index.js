@@ -0,0 +1,68 @@
+const SlackTransport = require('./slackTransport');
+const HttpTransport = require('./httpTransport');
+const SmtpTransport = require('./smtpTransport');
+const MemoryTransport = require('./memoryTransport');
+
+// Required SMTP settings and the environment variables they come from
+const REQUIRED_SMTP_SETTINGS = { host: 'SMTP_HOST', from: 'NOTIFY_EMAIL_FROM', to: 'NOTIFY_EMAIL_TO' };
+
+/**
+ * Create one transport for a name listed in config.notifications.transports
+ */
+function createTransport(name, options = {}) {
+  switch (name) {
+    case 'slack':
+      if (!options.slackWebhookUrl) {
+        throw new Error('The slack notification transport requires NOTIFY_SLACK_WEBHOOK_URL');
+      }
+      return new SlackTransport(options.slackWebhookUrl);
+    case 'http':
+      if (!options.httpUrl) {
+        throw new Error('The http notification transport requires NOTIFY_HTTP_URL');
+      }
+      return new HttpTransport(options.httpUrl, { headers: parseHeaders(options.httpHeaders) });
+    case 'smtp': {
+      const smtp = options.smtp || {};
+      const missing = Object.keys(REQUIRED_SMTP_SETTINGS).filter(field => !smtp[field]);
+      if (missing.length > 0) {
+        throw new Error(`The smtp notification transport requires ${missing.map(field => REQUIRED_SMTP_SETTINGS[field]).join(', ')}`);
+      }
+      return new SmtpTransport(smtp);
+    }
+    case 'memory':
+      return new MemoryTransport();
+    default:
+      throw new Error(`Unknown notification transport: ${name}`);
+  }
+}
+
+/**
+ * Create every transport selected in config.notifications
+ */
+function createTransports(options = {}) {
+  return (options.transports || []).map(name => createTransport(name, options));
+}
+
+/**
+ * NOTIFY_HTTP_HEADERS holds a JSON object of extra request headers
+ */
+function parseHeaders(headers) {
+  if (!headers) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(headers);
+  } catch (error) {
+    throw new Error(`NOTIFY_HTTP_HEADERS is not valid JSON: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createTransport,
+  createTransports,
+  SlackTransport,
+  HttpTransport,
+  SmtpTransport,
+  MemoryTransport
+};
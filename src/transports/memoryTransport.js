@@ -0,0 +1,15 @@
+/**
+ * Keeps notifications in memory instead of sending them - used for tests
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  async send(notification) {
+    this.sent.push(notification);
+  }
+}
+
+module.exports = MemoryTransport;
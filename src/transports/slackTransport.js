@@ -0,0 +1,31 @@
+const { toPlainText } = require('./formatNotification');
+
+const TIMEOUT_MS = 10000;
+
+/**
+ * Posts notifications to a Slack-compatible incoming webhook
+ */
+class SlackTransport {
+  constructor(webhookUrl, options = {}) {
+    this.name = 'slack';
+    this.webhookUrl = webhookUrl;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.timeoutMs = options.timeoutMs ?? TIMEOUT_MS;
+  }
+
+  async send(notification) {
+    const icon = notification.severity === 'alert' ? ':rotating_light:' : ':package:';
+    const response = await this.fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: `${icon} *${notification.title}*\n${toPlainText(notification)}` }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Slack webhook responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = SlackTransport;
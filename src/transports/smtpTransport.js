@@ -0,0 +1,66 @@
+const { toPlainText } = require('./formatNotification');
+
+const TIMEOUT_MS = 30000;
+
+/**
+ * Sends notifications as plain-text email through an SMTP server with
+ * nodemailer (STARTTLS or implicit TLS). Credentials are never sent over an
+ * unencrypted connection.
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} options - { host, port, secure, user, pass, from, to, tls }
+   *   `to` may hold several comma-separated addresses; `tls` is passed to tls.connect()
+   */
+  constructor(options) {
+    this.name = 'smtp';
+    this.options = options;
+    this.recipients = String(options.to).split(',').map(address => address.trim()).filter(Boolean);
+    this.transporter = null;
+  }
+
+  async send(notification) {
+    const subject = `[Consolidation] ${notification.title}`;
+    await this.sendMail(subject, toPlainText(notification));
+  }
+
+  /**
+   * Deliver a single message
+   */
+  async sendMail(subject, text) {
+    await this.getTransporter().sendMail({
+      from: this.options.from,
+      to: this.recipients,
+      subject,
+      text
+    });
+  }
+
+  /**
+   * The nodemailer transport, created on first use so processes that never send
+   * email do not load nodemailer
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      const nodemailer = require('nodemailer');
+      const { host, port, secure, user, pass, tls } = this.options;
+
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure: Boolean(secure),
+        auth: user ? { user, pass: pass || '' } : undefined,
+        // Without implicit TLS, fail rather than authenticate when STARTTLS is unavailable
+        requireTLS: Boolean(user) && !secure,
+        tls,
+        connectionTimeout: TIMEOUT_MS,
+        greetingTimeout: TIMEOUT_MS,
+        socketTimeout: TIMEOUT_MS
+      });
+    }
+
+    return this.transporter;
+  }
+}
+
+module.exports = SmtpTransport;
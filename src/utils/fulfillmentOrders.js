@@ -0,0 +1,71 @@
+/**
+ * Helpers for deciding what can be done with a fulfillment order. Kept free of
+ * app dependencies so the scripts can share them.
+ */
+
+// Fulfillment orders in these states have no work left and never block consolidation
+const FINISHED_STATUSES = ['CLOSED', 'CANCELLED', 'INCOMPLETE'];
+
+/**
+ * Line items of a fulfillment order (`nodes` or `edges { node }` connection)
+ */
+function getLineItems(fulfillmentOrder) {
+  const connection = fulfillmentOrder.lineItems;
+  return connection?.nodes || connection?.edges?.map(edge => edge.node) || [];
+}
+
+/**
+ * Whether the fulfillment order still has items waiting to be fulfilled
+ */
+function isActiveFulfillmentOrder(fulfillmentOrder) {
+  return !FINISHED_STATUSES.includes(fulfillmentOrder.status);
+}
+
+/**
+ * Whether Shopify lists the action (MOVE, MERGE, ...) as supported for the fulfillment order
+ */
+function supportsAction(fulfillmentOrder, action) {
+  return (fulfillmentOrder.supportedActions || []).some(supported => supported.action === action);
+}
+
+/**
+ * Explain why a fulfillment order must not be moved
+ * @returns {string|null} The reason, or null when it can be moved
+ */
+function getMoveSkipReason(fulfillmentOrder) {
+  const { status } = fulfillmentOrder;
+
+  if (FINISHED_STATUSES.includes(status)) {
+    return `Fulfillment order is ${status.toLowerCase()}`;
+  }
+  if (status === 'ON_HOLD') {
+    return 'Fulfillment order is on hold';
+  }
+  if (status === 'IN_PROGRESS') {
+    return 'Fulfillment is already in progress';
+  }
+
+  const lineItems = getLineItems(fulfillmentOrder);
+  const partiallyFulfilled = lineItems.some(lineItem => {
+    const total = lineItem.totalQuantity ?? lineItem.quantity;
+    return total !== undefined && lineItem.remainingQuantity < total;
+  });
+
+  if (partiallyFulfilled) {
+    return 'Fulfillment order is partially fulfilled';
+  }
+
+  if (!supportsAction(fulfillmentOrder, 'MOVE')) {
+    return 'Fulfillment order does not support MOVE';
+  }
+
+  return null;
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  getLineItems,
+  isActiveFulfillmentOrder,
+  supportsAction,
+  getMoveSkipReason
+};
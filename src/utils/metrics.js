@@ -0,0 +1,217 @@
+/**
+ * Minimal Prometheus metrics registry (counters, gauges and histograms with
+ * labels) rendered in the text exposition format for GET /metrics.
+ * Requires no other app module, so shopifyClient can record metrics without
+ * an import cycle.
+ */
+
+const PREFIX = 'consolidation_';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render `{name="value",...}` for a set of labels (empty string for none)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Shared label handling: one series per distinct combination of label values
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Keep only the declared labels, in declaration order
+   */
+  pickLabels(labels = {}) {
+    const picked = {};
+    this.labelNames.forEach(name => {
+      picked[name] = labels[name] === undefined ? '' : labels[name];
+    });
+    return picked;
+  }
+
+  getSeries(labels, create) {
+    const picked = this.pickLabels(labels);
+    const key = JSON.stringify(picked);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSeries()
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+    this.reset();
+  }
+
+  /**
+   * Unlabelled counters are exported as 0 before their first increment
+   */
+  reset() {
+    super.reset();
+    if (this.labelNames.length === 0) {
+      this.inc({}, 0);
+    }
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    const series = this.series.get(JSON.stringify(this.pickLabels(labels)));
+    return series ? series.value : 0;
+  }
+
+  renderSeries() {
+    return Array.from(this.series.values())
+      .map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Function} [collect] - Called before rendering to refresh the values
+   */
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries() {
+    if (this.collect) {
+      this.reset();
+      this.collect(this);
+    }
+
+    return Array.from(this.series.values())
+      .map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries() {
+    const lines = [];
+
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor(prefix = PREFIX) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  /**
+   * Register a metric, or return the one already registered under that name
+   */
+  register(name, create) {
+    const fullName = `${this.prefix}${name}`;
+
+    if (!this.metrics.has(fullName)) {
+      this.metrics.set(fullName, create(fullName));
+    }
+    return this.metrics.get(fullName);
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(name, fullName => new Counter(fullName, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(name, fullName => new Gauge(fullName, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(name, fullName => new Histogram(fullName, help, labelNames, buckets));
+  }
+
+  /**
+   * All metrics in the Prometheus text exposition format
+   */
+  render() {
+    return `${Array.from(this.metrics.values()).map(metric => metric.render()).join('\n\n')}\n`;
+  }
+
+  /**
+   * Clear every recorded value (tests)
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+module.exports = new MetricsRegistry();
+module.exports.MetricsRegistry = MetricsRegistry;